@@ -1,4 +1,5 @@
 const esbuild = require("esbuild")
+const { precacheManifest } = require("./scripts/generate-precache-manifest")
 
 const defineEnv = (mode) => {
   const env = {}
@@ -19,23 +20,45 @@ const buildOptions = (mode = "production") => ({
   entryPoints: ["frontend/javascript/index.js"],
   outdir: "output/_bridgetown/static/js",
   bundle: true,
+  // ESM + splitting lets heavy, page-specific modules (Mermaid) load lazily
+  // through dynamic import() as separate chunks. Chunk imports stay relative
+  // to index.js so they resolve under the /dspy.rb base path.
+  format: "esm",
+  splitting: true,
+  chunkNames: "chunks/[name]-[hash]",
   minify: mode === "production",
   sourcemap: mode === "development",
   target: ["es2017"],
   define: defineEnv(mode),
-  publicPath: "/_bridgetown/static/js/",
+})
+
+// The service worker is a classic script at the site root, so its scope
+// covers every page (bridgetown.config.yml keeps it across site builds). It
+// is built after index.js, whose contents feed the precache version.
+const serviceWorkerOptions = (mode = "production") => ({
+  entryPoints: ["frontend/javascript/service-worker.js"],
+  outfile: "output/sw.js",
+  bundle: true,
+  format: "iife",
+  minify: mode === "production",
+  sourcemap: mode === "development",
+  target: ["es2017"],
+  define: {
+    ...defineEnv(mode),
+    PRECACHE_MANIFEST: JSON.stringify(precacheManifest()),
+  },
 })
 
 if (require.main === module) {
   const mode = process.argv.includes("--watch") ? "development" : "production"
   
   if (process.argv.includes("--watch")) {
-    esbuild.context(buildOptions(mode)).then(ctx => {
-      ctx.watch()
+    Promise.all([buildOptions(mode), serviceWorkerOptions(mode)].map(options => esbuild.context(options))).then(contexts => {
+      contexts.forEach(ctx => ctx.watch())
       console.log("👀 Watching for JavaScript changes...")
     })
   } else {
-    esbuild.build(buildOptions(mode)).then(() => {
+    esbuild.build(buildOptions(mode)).then(() => esbuild.build(serviceWorkerOptions(mode))).then(() => {
       console.log("⚡ JavaScript build complete!")
     }).catch((error) => {
       console.error(error)
@@ -44,4 +67,4 @@ if (require.main === module) {
   }
 }
 
-module.exports = { buildOptions }
+module.exports = { buildOptions, serviceWorkerOptions }
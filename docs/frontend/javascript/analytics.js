@@ -0,0 +1,253 @@
+// Plausible analytics.
+// Every custom event the site sends is declared in EVENTS with the props it
+// may carry; track() drops anything else. Markup opts elements in with
+// data-track="<event>" plus data-track-<prop>="<value>" attributes, e.g.
+//   <button data-track="Offline Download" data-track-source="sidebar">
+// and one delegated click listener, started by initAnalytics(), sends them
+// along with outbound-link and file-download events. Events that declare
+// section, traversal or heading get them from pageContext() as well.
+//
+// Nothing is sent when the browser asks not to be tracked (Do Not Track or
+// Global Privacy Control) or the reader turned analytics off with a
+// [data-analytics-toggle] checkbox (saved under CONSENT_KEY). Pages flag
+// their HTTP status with <meta name="http-status"> (the 404 page sets
+// http_status in its frontmatter). On localhost, or with DEBUG_KEY set to
+// "on" in localStorage, events are logged to the console instead of sent.
+//
+// Pageviews follow the URL, hash included: the load, every pushState
+// (instant navigation, anchor links, filmstrip steps), popstate and
+// hashchange, each counted once per URL.
+
+import Plausible from 'plausible-tracker';
+
+export const EVENTS = {
+  'Outbound Link': ['url', 'text'],
+  'File Download': ['file', 'type', 'url'],
+  '404': ['path', 'referrer'],
+  'Offline Download': ['source'],
+  'Scroll Depth': ['depth', 'section', 'traversal'],
+  'Section Dwell': ['heading', 'duration', 'section', 'traversal'],
+  'Code Copy': ['language', 'heading', 'section', 'traversal'],
+  'Context Exit': ['label', 'url', 'section', 'traversal'],
+};
+
+export const CONSENT_KEY = 'dspy-analytics';
+export const DEBUG_KEY = 'dspy-analytics-debug';
+
+const PLAUSIBLE = {
+  domain: 'oss.vicente.services',
+  trackLocalhost: false,
+  apiHost: 'https://plausible.io',
+  hashMode: true, // report /path#hash, e.g. filmstrip steps
+};
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const FILE_EXTENSIONS = /\.(pdf|doc|docx|xls|xlsx|ppt|pptx|zip|rar|7z|tar|gz|mp3|mp4|avi|mov|wmv|flv|jpg|jpeg|png|gif|svg|webp|txt|csv|json|xml|yaml|yml)$/i;
+
+let plausible = null;
+
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null; // storage disabled
+  }
+}
+
+export function doNotTrack() {
+  return [navigator.doNotTrack, window.doNotTrack].includes('1') || navigator.globalPrivacyControl === true;
+}
+
+// The reader's choice: true, false, or null when they haven't made one.
+export function storedConsent() {
+  const value = readStorage(CONSENT_KEY);
+  return value === 'on' ? true : value === 'off' ? false : null;
+}
+
+export function setConsent(granted) {
+  try {
+    window.localStorage.setItem(CONSENT_KEY, granted ? 'on' : 'off');
+  } catch {
+    // storage disabled: the choice lasts until the next page load
+  }
+  document.dispatchEvent(new CustomEvent('analyticsconsent', { detail: { enabled: analyticsEnabled() } }));
+}
+
+// Plausible is cookieless, so analytics is on unless the browser or the
+// reader says otherwise.
+export function analyticsEnabled() {
+  return !doNotTrack() && storedConsent() !== false;
+}
+
+export function debugMode() {
+  return LOCAL_HOSTS.includes(window.location.hostname) || readStorage(DEBUG_KEY) === 'on';
+}
+
+// Sends a declared event; returns whether it went out (or was logged).
+export function track(name, props = {}) {
+  const allowed = EVENTS[name];
+  const debug = debugMode();
+  if (!allowed) {
+    if (debug) console.warn(`[analytics] undeclared event "${name}"`);
+    return false;
+  }
+  if (!analyticsEnabled()) return false;
+
+  const declared = Object.fromEntries(Object.entries(props).filter(([key]) => allowed.includes(key)));
+  if (debug) {
+    const dropped = Object.keys(props).filter((key) => !allowed.includes(key));
+    if (dropped.length > 0) console.warn(`[analytics] "${name}" does not declare ${dropped.join(', ')}`);
+    console.info('[analytics]', name, declared);
+    return true;
+  }
+  plausible ||= Plausible(PLAUSIBLE);
+  plausible.trackEvent(name, { props: declared });
+  return true;
+}
+
+function trackPageview() {
+  if (!analyticsEnabled()) return;
+  if (debugMode()) {
+    console.info('[analytics] pageview', window.location.href);
+    return;
+  }
+  plausible ||= Plausible(PLAUSIBLE);
+  plausible.trackPageview();
+}
+
+// The event an element declares with data-track / data-track-*, props
+// named in snake_case (data-track-file-type → file_type).
+export function trackedEvent(element) {
+  const props = {};
+  Object.entries(element.dataset).forEach(([key, value]) => {
+    if (!key.startsWith('track') || key === 'track') return;
+    const prop = key.slice('track'.length);
+    props[prop.charAt(0).toLowerCase() + prop.slice(1).replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)] = value;
+  });
+  return { name: element.dataset.track, props };
+}
+
+// Where an element sits: the docs page's navigation section and traversal
+// (data-page-section and data-page-traversal on its content, rendered from
+// documentation_navigation.yml) and the id of the h2 it falls under.
+export function pageContext(element) {
+  const context = {};
+  const page = element.closest('[data-page-section]');
+  if (page) {
+    context.section = page.dataset.pageSection;
+    if (page.dataset.pageTraversal) context.traversal = page.dataset.pageTraversal;
+  }
+  const article = element.closest('article');
+  const heading = article && Array.from(article.querySelectorAll('h2[id]'))
+    .filter((h2) => h2.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)
+    .pop();
+  if (heading) context.heading = heading.id;
+  return context;
+}
+
+// The part of pageContext(element) that event name declares.
+function contextProps(name, element) {
+  const allowed = EVENTS[name] || [];
+  return Object.fromEntries(Object.entries(pageContext(element)).filter(([key]) => allowed.includes(key)));
+}
+
+// Links leaving this host. Subdomains are other hosts too: the check is on
+// the hostname, not a substring of it.
+export function isOutbound(link, location = window.location) {
+  if (!link.href) return false;
+  const url = new URL(link.href, location.href);
+  return ['http:', 'https:'].includes(url.protocol) && url.hostname !== location.hostname;
+}
+
+export function downloadProps(link) {
+  const href = link.getAttribute('href');
+  if (!href) return null;
+  const url = new URL(href, window.location.href);
+  if (!FILE_EXTENSIONS.test(url.pathname)) return null;
+  const file = url.pathname.split('/').pop();
+  return { file, type: file.split('.').pop().toLowerCase(), url: url.href };
+}
+
+function onClick(e) {
+  const declared = e.target.closest('[data-track]');
+  if (declared) {
+    const { name, props } = trackedEvent(declared);
+    track(name, { ...contextProps(name, declared), ...props });
+  }
+
+  const link = e.target.closest('a[href]');
+  if (!link) return;
+  if (isOutbound(link)) {
+    track('Outbound Link', { url: link.href, text: link.textContent.trim() || 'No text' });
+  }
+  const download = downloadProps(link);
+  if (download) track('File Download', download);
+}
+
+function initConsentToggles(root) {
+  const toggles = Array.from(root.querySelectorAll('[data-analytics-toggle]'));
+
+  function sync() {
+    const blocked = doNotTrack();
+    toggles.forEach((toggle) => {
+      toggle.checked = analyticsEnabled();
+      toggle.disabled = blocked;
+      toggle.title = blocked ? 'Your browser asks sites not to track you' : '';
+    });
+  }
+
+  const onChange = (e) => setConsent(e.currentTarget.checked);
+
+  toggles.forEach((toggle) => {
+    toggle.addEventListener('change', onChange);
+    toggle.closest('[data-analytics-consent]')?.removeAttribute('hidden');
+  });
+  document.addEventListener('analyticsconsent', sync);
+  sync();
+
+  return function teardown() {
+    toggles.forEach((toggle) => {
+      toggle.removeEventListener('change', onChange);
+      toggle.closest('[data-analytics-consent]')?.setAttribute('hidden', '');
+    });
+    document.removeEventListener('analyticsconsent', sync);
+  };
+}
+
+// Records the pageview (and the 404, if flagged), then one for every URL
+// the page moves to.
+export function initAnalytics(root = document) {
+  let counted = null;
+  const onLocation = () => {
+    if (window.location.href === counted) return;
+    counted = window.location.href;
+    trackPageview();
+  };
+
+  // pushState fires no event of its own, so it is wrapped, as Plausible's
+  // auto pageviews do.
+  const { history } = window;
+  const pushState = history.pushState;
+  const countedPushState = function (...args) {
+    pushState.apply(this, args);
+    onLocation();
+  };
+  history.pushState = countedPushState;
+
+  onLocation();
+  if (document.querySelector('meta[name="http-status"]')?.content === '404') {
+    track('404', { path: window.location.pathname, referrer: document.referrer || 'Direct' });
+  }
+
+  const teardownToggles = initConsentToggles(root);
+  document.addEventListener('click', onClick);
+  window.addEventListener('popstate', onLocation);
+  window.addEventListener('hashchange', onLocation);
+
+  return function teardown() {
+    teardownToggles();
+    document.removeEventListener('click', onClick);
+    window.removeEventListener('popstate', onLocation);
+    window.removeEventListener('hashchange', onLocation);
+    if (history.pushState === countedPushState) history.pushState = pushState;
+  };
+}
@@ -0,0 +1,162 @@
+// Code block toolbar: language badge, soft-wrap toggle and copy button.
+// Rouge renders fences as <div class="language-x highlighter-rouge"><div
+// class="highlight"><pre class="highlight"><code>. Without this script the
+// blocks still read and scroll normally.
+//
+// initCodeBlocks(root) enhances the blocks under root and returns a teardown
+// that restores the markup it found (no toolbars, wrapping or generated ids);
+// index.js runs it for every page shown.
+// Successful copies are reported as the 'Code Copy' analytics event.
+
+import { pageContext, track } from './analytics.js';
+
+const LANGUAGE_LABELS = {
+  ruby: 'Ruby',
+  rb: 'Ruby',
+  erb: 'ERB',
+  bash: 'Shell',
+  sh: 'Shell',
+  shell: 'Shell',
+  console: 'Shell',
+  zsh: 'Shell',
+  json: 'JSON',
+  yaml: 'YAML',
+  yml: 'YAML',
+  javascript: 'JavaScript',
+  js: 'JavaScript',
+  typescript: 'TypeScript',
+  ts: 'TypeScript',
+  python: 'Python',
+  py: 'Python',
+  html: 'HTML',
+  css: 'CSS',
+  sql: 'SQL',
+  diff: 'Diff',
+  plaintext: 'Text',
+  text: 'Text',
+};
+
+const FEEDBACK_MS = 2000;
+
+function languageOf(pre) {
+  const holder = pre.closest('[class*="language-"]');
+  const match = holder && holder.className.match(/\blanguage-([\w+-]+)/);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  return LANGUAGE_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
+  }
+  // Fallback for plain-http previews where the async clipboard API is absent.
+  return new Promise((resolve, reject) => {
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.cssText = 'position:fixed;top:-9999px;opacity:0';
+    document.body.appendChild(area);
+    area.select();
+    const ok = document.execCommand('copy');
+    area.remove();
+    if (ok) resolve(); else reject(new Error('copy command was rejected'));
+  });
+}
+
+export function initCodeBlocks(root = document) {
+  const blocks = root.querySelectorAll('pre.highlight');
+  if (blocks.length === 0) return () => {};
+  const enhanced = []; // { pre, toolbar, id } with id set when it was generated here
+  const timers = new Set();
+
+  // One polite live region for the page; buttons only change their own label.
+  const announcer = document.createElement('p');
+  announcer.className = 'sr-only';
+  announcer.setAttribute('role', 'status');
+  document.body.appendChild(announcer);
+  const announce = (message) => {
+    announcer.textContent = '';
+    requestAnimationFrame(() => { announcer.textContent = message; });
+  };
+
+  blocks.forEach((pre, i) => {
+    const code = pre.querySelector('code') || pre;
+    const holder = pre.parentElement;
+    if (!holder || holder.querySelector(':scope > .code-block-toolbar')) return;
+
+    const language = languageOf(pre);
+    const id = pre.id ? null : `code-block-${i + 1}`;
+    if (id) pre.id = id;
+    holder.classList.add('code-block');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-block-toolbar';
+
+    if (language) {
+      const badge = document.createElement('span');
+      badge.className = 'code-block-language';
+      badge.textContent = language;
+      toolbar.appendChild(badge);
+    }
+
+    const wrap = document.createElement('button');
+    wrap.type = 'button';
+    wrap.className = 'code-block-button';
+    wrap.textContent = 'Wrap';
+    wrap.setAttribute('aria-pressed', 'false');
+    wrap.setAttribute('aria-controls', pre.id);
+    wrap.setAttribute('aria-label', `Wrap long lines${language ? ` in ${language} example` : ''}`);
+    wrap.addEventListener('click', () => {
+      const on = pre.classList.toggle('code-block-wrapped');
+      wrap.setAttribute('aria-pressed', String(on));
+      announce(on ? 'Line wrapping on' : 'Line wrapping off');
+    });
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'code-block-button';
+    copy.textContent = 'Copy';
+    copy.setAttribute('aria-label', `Copy${language ? ` ${language}` : ''} code to clipboard`);
+    let reset = 0;
+    copy.addEventListener('click', () => {
+      copyText(code.textContent.replace(/\n$/, ''))
+        .then(() => {
+          copy.textContent = 'Copied';
+          copy.dataset.state = 'copied';
+          announce('Code copied to clipboard');
+          track('Code Copy', { ...pageContext(pre), language: language || 'Plain text' });
+        })
+        .catch(() => {
+          copy.textContent = 'Press Ctrl+C';
+          copy.dataset.state = 'failed';
+          announce('Copy failed. Select the code and copy it manually.');
+        })
+        .finally(() => {
+          clearTimeout(reset);
+          timers.delete(reset);
+          reset = setTimeout(() => {
+            timers.delete(reset);
+            copy.textContent = 'Copy';
+            delete copy.dataset.state;
+          }, FEEDBACK_MS);
+          timers.add(reset);
+        });
+    });
+
+    toolbar.append(wrap, copy);
+    holder.insertBefore(toolbar, pre);
+    enhanced.push({ pre, toolbar, id });
+  });
+
+  return function teardown() {
+    timers.forEach(clearTimeout);
+    enhanced.forEach(({ pre, toolbar, id }) => {
+      toolbar.parentElement?.classList.remove('code-block');
+      toolbar.remove();
+      pre.classList.remove('code-block-wrapped');
+      if (id && pre.id === id) pre.removeAttribute('id');
+    });
+    announcer.remove();
+  };
+}
@@ -0,0 +1,410 @@
+// Horizontal filmstrip for step-by-step walkthroughs.
+// Native CSS scroll-snap already works (swipe / trackpad / scrollbar).
+// This progressively enhances it with arrows, step dots, a counter, and
+// keyboard support. If it doesn't run, the filmstrip still scrolls.
+// Below the lg breakpoint the panels stack vertically and the controls hide.
+//
+// Markup, configured entirely through data attributes:
+//
+//   <div data-filmstrip="miprov2" data-filmstrip-autoplay>
+//     <ol data-filmstrip-track tabindex="0" aria-label="MIPROv2, stage by stage">
+//       <li data-filmstrip-panel>
+//         <div data-filmstrip-head>…numeral, title, intro…</div>
+//         …code…
+//       </li>
+//     </ol>
+//   </div>
+//
+// Without a [data-filmstrip-controls] element the arrows, dots and counter
+// are generated above the track (styled in filmstrip.css). Heads are given a
+// common height so the code below them lines up across panels.
+//
+// initFilmstrip(root) enhances one element and returns a teardown function
+// that removes everything it added; index.js calls initFilmstrips() once the
+// DOM is ready. The home page's agent pipeline (agent-pipeline.js) is the
+// same component under its original data-agent-* names.
+//
+// Each filmstrip has a key (data-filmstrip="…", its id, or "filmstrip") and
+// the active step lives in the URL hash as #<key>-step-<n>, so a step can be
+// linked to and back/forward moves between visited steps. Panels get
+// matching ids, so the links still land on the right panel without JS.
+//
+// Opt-in autoplay: data-filmstrip-autoplay (optionally "=<ms>") steps through
+// the panels like a guided tour, looping at the end. It pauses while the track
+// is hovered, while focus is inside the filmstrip, while the tab is hidden,
+// and in the stacked mobile layout; a Pause/Play button stops it for good.
+// Its steps leave the URL alone, so a heading fragment the reader arrived
+// with survives a reload or a shared link.
+// Reduced-motion users get no autoplay.
+
+// Attribute vocabulary: data-<root>="key" on the container; data-<part>-track,
+// -controls, -prev, -next, -dots, -status, -head and -autoplay inside it; and
+// panels marked data-<part>-panel or .<part>-panel. fallbackKey names
+// unkeyed instances.
+export const FILMSTRIP = { root: 'filmstrip', part: 'filmstrip', fallbackKey: 'filmstrip' };
+
+export const clamp = (i, count) => Math.max(0, Math.min(count - 1, i));
+
+export const pad = (n) => String(n + 1).padStart(2, '0');
+
+// Index of the offset closest to the scroll position x.
+export function nearestIndex(offsets, x) {
+  let best = 0;
+  let bestDist = Infinity;
+  offsets.forEach((offset, i) => {
+    const d = Math.abs(offset - x);
+    if (d < bestDist) { bestDist = d; best = i; }
+  });
+  return best;
+}
+
+const SETTLE_MS = 150; // quiet period before a swipe's step is written to the URL
+const DEFAULT_AUTOPLAY_MS = 6000;
+const MIN_AUTOPLAY_MS = 1000;
+
+// Autoplay interval in ms for a data-*-autoplay value, or null when the
+// attribute is absent. A bare or unusable value gets the default.
+export function autoplayInterval(value) {
+  if (value === undefined || value === null) return null;
+  const ms = Number(value);
+  return value.trim() !== '' && Number.isFinite(ms) && ms >= MIN_AUTOPLAY_MS ? ms : DEFAULT_AUTOPLAY_MS;
+}
+
+// Builds the Pause/Play toggle and progress bar into controls. The progress
+// bar's CSS animation is the timer (see filmstrip.css): advance() runs on
+// animationend, and pausing the animation pauses the tour. Returns handles
+// for the filmstrip to restart the countdown and toggle pause reasons.
+function createAutoplay(controls, interval, advance) {
+  const wrap = document.createElement('div');
+  wrap.className = 'filmstrip-autoplay';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'filmstrip-autoplay-toggle';
+
+  const progress = document.createElement('span');
+  progress.className = 'filmstrip-autoplay-progress';
+  progress.setAttribute('aria-hidden', 'true');
+  progress.style.setProperty('--filmstrip-autoplay-interval', `${interval}ms`);
+  const fill = document.createElement('span');
+  progress.appendChild(fill);
+
+  wrap.append(toggle, progress);
+  controls.appendChild(wrap);
+
+  const reasons = new Set();
+  function sync() {
+    const stopped = reasons.has('user');
+    toggle.textContent = stopped ? 'Play tour' : 'Pause tour';
+    toggle.setAttribute('aria-label', stopped ? 'Play the guided tour' : 'Pause the guided tour');
+    if (reasons.size > 0) progress.dataset.paused = '';
+    else delete progress.dataset.paused;
+  }
+
+  function restart() {
+    delete progress.dataset.running;
+    void fill.offsetWidth; // restart the CSS animation from zero
+    progress.dataset.running = '';
+  }
+
+  const onEnd = () => { if (reasons.size === 0) advance(); };
+  const onToggle = () => {
+    if (reasons.has('user')) reasons.delete('user');
+    else reasons.add('user');
+    sync();
+  };
+  fill.addEventListener('animationend', onEnd);
+  toggle.addEventListener('click', onToggle);
+  sync();
+
+  return {
+    toggle,
+    restart,
+    pause(reason, on) {
+      if (on) reasons.add(reason);
+      else reasons.delete(reason);
+      sync();
+    },
+    teardown() {
+      fill.removeEventListener('animationend', onEnd);
+      toggle.removeEventListener('click', onToggle);
+      wrap.remove();
+    },
+  };
+}
+
+// Arrows, dots and counter for a filmstrip that brings none of its own.
+function createControls(count) {
+  const controls = document.createElement('div');
+  controls.className = 'filmstrip-controls';
+  controls.hidden = true;
+  controls.innerHTML = `
+    <button type="button" class="filmstrip-arrow" aria-label="Previous step"><span aria-hidden="true">&larr;</span></button>
+    <button type="button" class="filmstrip-arrow" aria-label="Next step"><span aria-hidden="true">&rarr;</span></button>
+    <ol class="filmstrip-dots" aria-hidden="true"></ol>
+    <span class="filmstrip-status">01 / ${pad(count - 1)}</span>
+  `;
+  const [prev, next] = controls.querySelectorAll('button');
+  return {
+    controls,
+    prev,
+    next,
+    dotsWrap: controls.querySelector('ol'),
+    status: controls.querySelector('span.filmstrip-status'),
+  };
+}
+
+// Zero-based step index named by hash for the filmstrip key, or -1.
+export function stepFromHash(hash, key) {
+  const prefix = `#${key}-step-`;
+  if (!hash.startsWith(prefix)) return -1;
+  const n = Number(hash.slice(prefix.length));
+  return Number.isInteger(n) && n >= 1 ? n - 1 : -1;
+}
+
+export function stepHash(key, i) {
+  return `#${key}-step-${i + 1}`;
+}
+
+export function initFilmstrip(root, {
+  names = FILMSTRIP,
+  key = root.getAttribute(`data-${names.root}`) || root.id || names.fallbackKey,
+} = {}) {
+  const part = (name) => root.querySelector(`[data-${names.part}-${name}]`);
+  const track = part('track');
+  const panels = track
+    ? Array.from(track.querySelectorAll(`[data-${names.part}-panel], .${names.part}-panel`))
+    : [];
+  if (panels.length < 2) return () => {};
+
+  let controls = part('controls');
+  let prev = part('prev');
+  let next = part('next');
+  let dotsWrap = part('dots');
+  let status = part('status');
+  const generated = !controls;
+  if (generated) {
+    ({ controls, prev, next, dotsWrap, status } = createControls(panels.length));
+    track.before(controls);
+  }
+  if (!prev || !next || !dotsWrap) return () => {};
+
+  const reduce = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const horizontal = window.matchMedia('(min-width: 1024px)');
+  // Reference panel 0 so the padded/bleed track still computes correct offsets.
+  const panelLeft = (i) => panels[i].offsetLeft - panels[0].offsetLeft;
+  const initialStatus = status ? status.textContent : '';
+  const assignedIds = panels.filter((panel, i) => {
+    if (panel.id) return false;
+    panel.id = stepHash(key, i).slice(1);
+    return true;
+  });
+
+  // Controls only make sense in the horizontal (desktop) layout; on mobile the
+  // panels stack vertically and scroll with the page. Use inline display (not the
+  // `hidden` attribute) since the layout class would otherwise override it.
+  function syncControls() {
+    controls.hidden = false;
+    controls.style.display = horizontal.matches ? 'flex' : 'none';
+  }
+
+  const dots = panels.map((_, i) => {
+    const li = document.createElement('li');
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.setAttribute('aria-label', `Go to step ${i + 1}`);
+    // The dot list is aria-hidden (a pointer shortcut); keyboard users step
+    // with the arrows or the track's arrow keys, so keep dots out of Tab order.
+    b.tabIndex = -1;
+    b.style.cssText =
+      'width:0.5rem;height:0.5rem;border:0;padding:0;border-radius:9999px;cursor:pointer;' +
+      'background:var(--color-rule);transition:background-color .2s ease';
+    b.addEventListener('click', () => goTo(i));
+    li.appendChild(b);
+    dotsWrap.appendChild(li);
+    return b;
+  });
+
+  let active = -1;
+  let recorded = 0; // step the URL last named (or implied) for this filmstrip
+  let autoplay = null;
+
+  function render(i) {
+    if (i === active) return;
+    active = i;
+    dots.forEach((d, di) => {
+      d.style.background = di === i ? 'var(--color-accent)' : 'var(--color-rule)';
+      if (di === i) d.setAttribute('aria-current', 'true');
+      else d.removeAttribute('aria-current');
+    });
+    if (status) status.textContent = `${pad(i)} / ${pad(panels.length - 1)}`;
+    if (autoplay) autoplay.restart();
+    // A button that disables itself under focus would drop focus to <body>;
+    // hand it to the opposite arrow instead.
+    const focused = document.activeElement;
+    prev.disabled = i === 0;
+    next.disabled = i === panels.length - 1;
+    if (focused === prev && prev.disabled) next.focus();
+    else if (focused === next && next.disabled) prev.focus();
+  }
+
+  // Write the active step to the URL. Deliberate moves (arrows, dots, keys)
+  // push an entry so Back returns to the previous step; swipes replace it.
+  function syncHash(mode) {
+    recorded = active;
+    const hash = stepHash(key, active);
+    if (window.location.hash === hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (mode === 'push') window.history.pushState(window.history.state, '', url);
+    else window.history.replaceState(window.history.state, '', url);
+  }
+
+  function goTo(i, { history = 'push', instant = false } = {}) {
+    const t = clamp(i, panels.length);
+    track.scrollTo({ left: panelLeft(t), behavior: reduce || instant ? 'instant' : 'smooth' });
+    render(t); // optimistic; scroll listener keeps it honest for swipes
+    if (history) syncHash(history);
+  }
+
+  // Restore the step named in the URL: on load, and on back/forward or a
+  // clicked #…-step-n link. A bare URL means step 1; other fragments (another
+  // filmstrip, a heading) leave this one where it is.
+  function restoreFromHash({ instant = false } = {}) {
+    const hash = window.location.hash;
+    const step = stepFromHash(hash, key);
+    if (step !== -1) goTo(step, { history: false, instant });
+    else if (!hash) goTo(0, { history: false, instant });
+    else return;
+    recorded = active;
+  }
+
+  const nearest = () => nearestIndex(panels.map((_, i) => panelLeft(i)), track.scrollLeft);
+
+  const onPrev = () => goTo(active - 1);
+  const onNext = () => goTo(active + 1);
+  const onKeydown = (e) => {
+    if (e.key === 'ArrowRight') { e.preventDefault(); goTo(active + 1); }
+    else if (e.key === 'ArrowLeft') { e.preventDefault(); goTo(active - 1); }
+  };
+
+  // Align the code blocks: give every panel's header (numeral + title + intro)
+  // the same height, so the code panels start at the same vertical offset no
+  // matter how many lines each intro wraps to.
+  const heads = panels.map((p) => p.querySelector(`[data-${names.part}-head]`));
+  function equalizeHeads() {
+    if (heads.some((h) => !h)) return;
+    heads.forEach((h) => { h.style.minHeight = ''; });
+    if (!horizontal.matches) return; // vertical stack: natural heights
+    const max = Math.max(...heads.map((h) => h.getBoundingClientRect().height));
+    heads.forEach((h) => { h.style.minHeight = `${Math.ceil(max)}px`; });
+  }
+
+  let raf = 0;
+  let settle = 0;
+  const onScroll = () => {
+    clearTimeout(settle);
+    settle = setTimeout(() => { if (active !== recorded) syncHash('replace'); }, SETTLE_MS);
+    if (raf) return;
+    raf = requestAnimationFrame(() => { raf = 0; render(nearest()); });
+  };
+  const onHistory = () => restoreFromHash();
+  const onResize = () => { equalizeHeads(); render(nearest()); };
+  const onLayoutChange = () => {
+    syncControls();
+    equalizeHeads();
+    render(nearest());
+    if (autoplay) autoplay.pause('layout', !horizontal.matches);
+  };
+
+  const interval = reduce ? null : autoplayInterval(root.getAttribute(`data-${names.part}-autoplay`));
+  if (interval) {
+    autoplay = createAutoplay(controls, interval, () => {
+      goTo(active + 1 < panels.length ? active + 1 : 0, { history: false });
+      recorded = active; // nor write it once the scroll settles
+    });
+    autoplay.pause('layout', !horizontal.matches);
+  }
+  // Pause reasons: hovering the track, focus anywhere in the filmstrip except
+  // the Pause/Play toggle itself, and a hidden tab.
+  const onPointerEnter = () => autoplay.pause('hover', true);
+  const onPointerLeave = () => autoplay.pause('hover', false);
+  const onFocusChange = () => {
+    const focused = document.activeElement;
+    autoplay.pause('focus', root.contains(focused) && focused !== autoplay.toggle);
+  };
+  const onVisibility = () => autoplay.pause('hidden', document.hidden);
+
+  prev.addEventListener('click', onPrev);
+  next.addEventListener('click', onNext);
+  track.addEventListener('keydown', onKeydown);
+  track.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onResize, { passive: true });
+  horizontal.addEventListener('change', onLayoutChange);
+  window.addEventListener('popstate', onHistory);
+  window.addEventListener('hashchange', onHistory);
+  if (autoplay) {
+    track.addEventListener('pointerenter', onPointerEnter);
+    track.addEventListener('pointerleave', onPointerLeave);
+    root.addEventListener('focusin', onFocusChange);
+    root.addEventListener('focusout', onFocusChange);
+    document.addEventListener('visibilitychange', onVisibility);
+    onVisibility();
+  }
+
+  syncControls();
+  equalizeHeads();
+  let alive = true;
+  if (document.fonts && document.fonts.ready) {
+    document.fonts.ready.then(() => { if (alive) equalizeHeads(); });
+  }
+
+  render(0);
+  if (stepFromHash(window.location.hash, key) !== -1) restoreFromHash({ instant: true });
+
+  return function teardown() {
+    alive = false;
+    cancelAnimationFrame(raf);
+    clearTimeout(settle);
+    window.removeEventListener('popstate', onHistory);
+    window.removeEventListener('hashchange', onHistory);
+    if (autoplay) {
+      track.removeEventListener('pointerenter', onPointerEnter);
+      track.removeEventListener('pointerleave', onPointerLeave);
+      root.removeEventListener('focusin', onFocusChange);
+      root.removeEventListener('focusout', onFocusChange);
+      document.removeEventListener('visibilitychange', onVisibility);
+      autoplay.teardown();
+      autoplay = null;
+    }
+    assignedIds.forEach((panel) => panel.removeAttribute('id'));
+    prev.removeEventListener('click', onPrev);
+    next.removeEventListener('click', onNext);
+    track.removeEventListener('keydown', onKeydown);
+    track.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onResize);
+    horizontal.removeEventListener('change', onLayoutChange);
+    dots.forEach((d) => d.parentElement.remove());
+    heads.forEach((h) => { if (h) h.style.minHeight = ''; });
+    if (generated) {
+      controls.remove();
+      return;
+    }
+    controls.hidden = true;
+    controls.style.display = '';
+    prev.disabled = false;
+    next.disabled = false;
+    if (status) status.textContent = initialStatus;
+  };
+}
+
+// Enhances every filmstrip under scope independently; returns one teardown
+// for all of them. Unkeyed filmstrips after the first get -2, -3, … suffixes
+// so their hashes don't collide.
+export function initFilmstrips(scope = document, names = FILMSTRIP) {
+  const teardowns = Array.from(scope.querySelectorAll(`[data-${names.root}]`)).map((root, i) => {
+    const key = root.getAttribute(`data-${names.root}`) || root.id
+      || (i === 0 ? names.fallbackKey : `${names.fallbackKey}-${i + 1}`);
+    return initFilmstrip(root, { names, key });
+  });
+  return () => teardowns.forEach((teardown) => teardown());
+}
@@ -1,134 +1,98 @@
 // Basic JavaScript for DSPy.rb documentation site
-import Plausible from 'plausible-tracker'
-import './mobile-navigation.js'
-import './agent-pipeline.js'
+import { initMobileNavigation, initSidebarDropdowns } from './mobile-navigation.js'
+import { initAgentPipelines } from './agent-pipeline.js'
+import { initFilmstrips } from './filmstrip.js'
+import { initThemeToggle } from './theme.js'
+import { initCodeBlocks } from './code-blocks.js'
+import { initTableOfContents } from './table-of-contents.js'
+import { initMermaidDiagrams } from './mermaid-diagrams.js'
+import { initInstantNavigation } from './instant-navigation.js'
+import { initOfflineStatus, registerServiceWorker } from './offline.js'
+import { initAnalytics } from './analytics.js'
+import { initReadingInsights } from './reading-insights.js'
+import { initSearchPalette } from './search-palette.js'
 
-// Initialize Plausible analytics  
-const plausible = Plausible({
-  domain: 'oss.vicente.services',
-  trackLocalhost: false,
-  apiHost: 'https://plausible.io',
-  hashMode: true // Enable hashed page path tracking
-})
-
-// Enable automatic page view tracking
-plausible.enableAutoPageviews()
-
-// Track outbound links
-function trackOutboundLinks() {
-  document.addEventListener('click', function(e) {
-    const link = e.target.closest('a')
-    if (!link) return
-    
-    const href = link.href
-    if (!href) return
-    
-    // Check if it's an outbound link
-    const currentDomain = window.location.hostname
-    const linkDomain = new URL(href, window.location.origin).hostname
-    
-    if (linkDomain !== currentDomain && !linkDomain.includes(currentDomain)) {
-      plausible.trackEvent('Outbound Link', {
-        props: {
-          url: href,
-          text: link.textContent?.trim() || 'No text'
-        }
-      })
-    }
-  })
+// Components that export init(root) → teardown start here once the DOM is
+// ready; tests and multi-instance pages call them directly.
+function onReady(callback) {
+  if (document.readyState !== 'loading') callback()
+  else document.addEventListener('DOMContentLoaded', callback)
 }
 
-// Track file downloads
-function trackFileDownloads() {
-  document.addEventListener('click', function(e) {
-    const link = e.target.closest('a')
-    if (!link) return
-    
-    const href = link.href || link.getAttribute('href')
-    if (!href) return
-    
-    // Common file extensions to track
-    const fileExtensions = /\.(pdf|doc|docx|xls|xlsx|ppt|pptx|zip|rar|7z|tar|gz|mp3|mp4|avi|mov|wmv|flv|jpg|jpeg|png|gif|svg|webp|txt|csv|json|xml|yaml|yml)$/i
-    
-    if (fileExtensions.test(href)) {
-      const filename = href.split('/').pop() || 'unknown'
-      const extension = filename.split('.').pop()?.toLowerCase() || 'unknown'
-      
-      plausible.trackEvent('File Download', {
-        props: {
-          file: filename,
-          type: extension,
-          url: href
-        }
-      })
-    }
-  })
-}
+// Page initializers enhance the content of the page being shown. Instant
+// navigation tears them down before it swaps in another page and runs them
+// again afterwards; the header, menu, theme toggle and offline status
+// outlive the swap.
+const PAGE_INITIALIZERS = [
+  initSidebarDropdowns,
+  initAnchorLinks,
+  initCodeBlocks,
+  initTableOfContents,
+  initMermaidDiagrams,
+  initAgentPipelines,
+  initFilmstrips,
+  initReadingInsights,
+]
 
-// Track 404 errors
-function track404Errors() {
-  // Check if current page is a 404
-  if (document.title.includes('404') || 
-      document.body.textContent.includes('Page not found') ||
-      window.location.pathname.includes('404')) {
-    plausible.trackEvent('404', {
-      props: {
-        path: window.location.pathname,
-        referrer: document.referrer || 'Direct'
-      }
-    })
-  }
+function initPage(root = document) {
+  const teardowns = PAGE_INITIALIZERS.map((init) => init(root))
+  return () => teardowns.forEach((teardown) => teardown())
 }
 
-// Custom event tracking helper
-window.trackCustomEvent = function(eventName, properties = {}) {
-  plausible.trackEvent(eventName, {
-    props: properties
+onReady(() => {
+  initAnalytics()
+  initThemeToggle()
+  initMobileNavigation()
+  initOfflineStatus()
+  initSearchPalette()
+  let teardownPage = initPage()
+  initInstantNavigation({
+    beforeSwap: () => teardownPage(),
+    afterSwap: () => { teardownPage = initPage() }
   })
-}
+})
 
-// Initialize all tracking
-trackOutboundLinks()
-trackFileDownloads()
-track404Errors()
+// Offline reading; development builds skip the worker so edits show up on reload
+if (process.env.BRIDGETOWN_ENV === 'production') registerServiceWorker()
 
 // Add any interactive functionality here
 
 // Add anchor links to headers for easy link copying
-document.addEventListener('DOMContentLoaded', function() {
-  const article = document.querySelector('article.prose');
-  if (!article) return;
+function initAnchorLinks(root = document) {
+  const article = root.querySelector('article.prose')
+  if (!article) return () => {}
 
-  const headers = article.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]');
+  const headers = article.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]')
 
-  headers.forEach(header => {
-    const anchor = document.createElement('a');
-    anchor.className = 'anchor-link';
-    anchor.href = '#' + header.id;
-    anchor.setAttribute('aria-label', 'Link to this section');
-    anchor.textContent = '#';
-    header.insertBefore(anchor, header.firstChild);
-  });
-});
-
-// Smooth scrolling for anchor links
-document.addEventListener('DOMContentLoaded', function() {
-  const links = document.querySelectorAll('a[href^="#"]');
+  const anchors = Array.from(headers).map(header => {
+    const anchor = document.createElement('a')
+    anchor.className = 'anchor-link'
+    anchor.href = '#' + header.id
+    anchor.setAttribute('aria-label', 'Link to this section')
+    anchor.textContent = '#'
+    header.insertBefore(anchor, header.firstChild)
+    return anchor
+  })
+  return () => anchors.forEach(anchor => anchor.remove())
+}
 
-  links.forEach(link => {
-    link.addEventListener('click', function(e) {
-      const href = this.getAttribute('href');
-      if (href === '#') return;
+// Smooth scrolling for anchor links, delegated so links in swapped-in pages
+// are covered too
+document.addEventListener('click', function(e) {
+  const link = e.target.closest('a[href^="#"]')
+  if (!link || e.defaultPrevented) return
+  const href = link.getAttribute('href')
+  if (href === '#') return
 
-      const target = document.querySelector(href);
-      if (target) {
-        e.preventDefault();
-        target.scrollIntoView({
-          behavior: 'smooth'
-        });
-        // Update URL hash without jumping
-        history.pushState(null, '', href);
-      }
-    });
-  });
-});
+  // Kramdown ids may start with a digit, which querySelector rejects.
+  const target = document.getElementById(decodeURIComponent(href.slice(1)))
+  if (target) {
+    e.preventDefault()
+    const reduce = window.matchMedia('(prefers-reduced-motion: reduce)').matches
+    target.scrollIntoView({
+      behavior: reduce ? 'instant' : 'smooth'
+    })
+    // Update URL hash without jumping
+    history.pushState(null, '', href)
+  }
+})
@@ -0,0 +1,225 @@
+// Instant navigation between docs pages.
+// Opt-in per layout: on pages whose <body> has data-instant-navigation (the
+// docs layout), clicks on links to other docs pages are handled here instead
+// of by a full page load. Docs pages are the ones the sidebar lists and those
+// under a section of the top navigation; links to the home page, the blog or
+// anything else load normally. The target is fetched (usually already
+// prefetched on hover or touchstart) and only its [data-instant-swap]
+// region — the article with its breadcrumb, contextual exits and
+// previous/next links — replaces the current one. The header, sidebars and
+// their state stay put; only their current-page markers (aria-current and
+// the classes rendered with it) are copied over. The History API keeps the
+// URL, Back/Forward and scroll positions working.
+//
+// initInstantNavigation({ beforeSwap, afterSwap }) returns a teardown;
+// index.js uses the hooks to tear down and re-run the page initializers
+// (anchor links, code blocks, table of contents, Mermaid, pipelines) around
+// each swap. Every swap then dispatches `instantnavigation` on document with
+// { detail: { url } }.
+//
+// Anything unexpected — a failed fetch, a target page on another layout —
+// falls back to a normal page load. Links with data-no-instant opt out.
+
+const SWAP = '[data-instant-swap]';
+// Current-page markers outside the swap region, matched between the old and
+// new page by their key attribute.
+const MARKERS = [
+  ['[data-doc-sidebar] a[data-doc-path]', 'data-doc-path'],
+  ['[data-doc-sidebar] [data-dropdown-toggle]', 'data-dropdown-toggle'],
+  ['[data-doc-top-nav] a[data-doc-section]', 'data-doc-section'],
+];
+const DOCS_PAGES = '[data-doc-sidebar] a[data-doc-path]';
+const DOCS_SECTIONS = '[data-doc-top-nav] a[data-doc-section]';
+const HOVER_DELAY = 65; // ignore links the pointer only passes over
+const CACHE_SIZE = 20;
+const SCROLL_SAVE_DELAY = 150;
+
+const pageKey = (url) => `${url.pathname}${url.search}`;
+
+// Whether pathname is a docs page, going by the navigation rendered in root.
+export function isDocsPath(pathname, root = document) {
+  const path = (a) => new URL(a.href, window.location.href).pathname;
+  return Array.from(root.querySelectorAll(DOCS_PAGES)).some((a) => path(a) === pathname)
+    || Array.from(root.querySelectorAll(DOCS_SECTIONS)).some((a) => pathname.startsWith(path(a)));
+}
+
+// The URL a link would navigate to instantly, or null when the browser
+// should handle it: other origins, pages outside the docs, new tabs,
+// downloads, files, and links within the current page.
+export function instantURL(link, location = window.location, root = document) {
+  if (!link.href || link.hasAttribute('download') || link.hasAttribute('data-no-instant')) return null;
+  if (link.target && link.target !== '_self') return null;
+  const url = new URL(link.href, location.href);
+  if (url.origin !== location.origin) return null;
+  if (/\.(?!html?$)[a-z0-9]+$/i.test(url.pathname)) return null;
+  if (pageKey(url) === pageKey(new URL(location.href))) return null;
+  return isDocsPath(url.pathname, root) ? url : null;
+}
+
+// Copies each current-page marker from doc onto the matching element here.
+export function syncMarkers(doc, root = document) {
+  MARKERS.forEach(([selector, key]) => {
+    const incoming = new Map(Array.from(doc.querySelectorAll(selector)).map((el) => [el.getAttribute(key), el]));
+    root.querySelectorAll(selector).forEach((el) => {
+      const match = incoming.get(el.getAttribute(key));
+      if (!match) return;
+      el.className = match.className;
+      const current = match.getAttribute('aria-current');
+      if (current) el.setAttribute('aria-current', current);
+      else el.removeAttribute('aria-current');
+    });
+  });
+}
+
+// Whether doc is a page on an instant-navigation layout with a swap region.
+export function canSwap(doc, root = document) {
+  return Boolean(root.querySelector(SWAP) && doc.querySelector(SWAP) && doc.body.hasAttribute('data-instant-navigation'));
+}
+
+// Replaces the swap region, title, description and data-doc-url with doc's.
+export function swapPage(doc, root = document) {
+  root.querySelector(SWAP).replaceWith(root.importNode(doc.querySelector(SWAP), true));
+  syncMarkers(doc, root);
+  root.title = doc.title;
+  const description = doc.querySelector('meta[name="description"]');
+  root.querySelector('meta[name="description"]')?.setAttribute('content', description?.getAttribute('content') || '');
+  if (doc.body.dataset.docUrl) root.body.dataset.docUrl = doc.body.dataset.docUrl;
+}
+
+export function initInstantNavigation({ beforeSwap = () => {}, afterSwap = () => {} } = {}) {
+  if (!document.body.hasAttribute('data-instant-navigation')) return () => {};
+
+  const cache = new Map();
+  let rendered = pageKey(new URL(window.location.href));
+  let navigation = 0;
+  let hoverTimer = 0;
+  let scrollTimer = 0;
+
+  function load(url) {
+    const key = pageKey(url);
+    if (!cache.has(key)) {
+      const page = fetch(key, { credentials: 'same-origin' }).then((response) => {
+        const type = response.headers.get('content-type') || '';
+        if (!response.ok || !type.includes('text/html')) throw new Error(`${response.status} ${type}`);
+        return response.text();
+      });
+      page.catch(() => cache.delete(key));
+      cache.set(key, page);
+      if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    }
+    return cache.get(key);
+  }
+
+  function prefetch(link) {
+    const url = instantURL(link);
+    if (url && !navigator.connection?.saveData) load(url).catch(() => {});
+  }
+
+  function restoreScroll(url, scrollY) {
+    const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+    if (target) target.scrollIntoView();
+    else window.scrollTo(0, scrollY || 0);
+  }
+
+  async function navigate(url, { push }) {
+    const token = ++navigation;
+    // Back/Forward already moved the URL, so their fallback is a reload.
+    const fallback = () => (push ? window.location.assign(url.href) : window.location.reload());
+    let doc;
+    try {
+      doc = new DOMParser().parseFromString(await load(url), 'text/html');
+    } catch {
+      fallback();
+      return;
+    }
+    if (token !== navigation) return; // a later click won
+    if (!canSwap(doc)) {
+      fallback();
+      return;
+    }
+
+    // beforeSwap still sees the old page's URL after a click, e.g. for the
+    // analytics its teardown sends.
+    if (push) saveScroll();
+    beforeSwap();
+    if (push) window.history.pushState(null, '', url.href);
+    swapPage(doc);
+    rendered = pageKey(url);
+    afterSwap();
+
+    restoreScroll(url, push ? 0 : window.history.state?.instantScrollY);
+    if (push) {
+      // Start reading (and tabbing) from the new page's heading.
+      const heading = document.querySelector(`${SWAP} h1`);
+      if (heading) {
+        heading.tabIndex = -1;
+        heading.focus({ preventScroll: true });
+      }
+    }
+    document.dispatchEvent(new CustomEvent('instantnavigation', { detail: { url: url.href } }));
+  }
+
+  function onClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const link = e.target.closest('a[href]');
+    const url = link && instantURL(link);
+    if (!url) return;
+    e.preventDefault();
+    navigate(url, { push: true });
+  }
+
+  function onMouseOver(e) {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => prefetch(link), HOVER_DELAY);
+  }
+
+  function onMouseOut(e) {
+    if (e.target.closest('a[href]')) clearTimeout(hoverTimer);
+  }
+
+  function onTouchStart(e) {
+    const link = e.target.closest('a[href]');
+    if (link) prefetch(link);
+  }
+
+  // Only entries for another page need a swap; hash-only entries (anchors,
+  // pipeline steps) belong to the page's own handlers.
+  function onPopState() {
+    clearTimeout(scrollTimer); // the entry it would write to is no longer current
+    const url = new URL(window.location.href);
+    if (pageKey(url) !== rendered) navigate(url, { push: false });
+  }
+
+  // The current entry keeps the reader's position once scrolling stops, so
+  // Back and Forward both return to where each page was left.
+  function saveScroll() {
+    clearTimeout(scrollTimer);
+    window.history.replaceState({ ...window.history.state, instantScrollY: window.scrollY }, '');
+  }
+
+  function onScroll() {
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(saveScroll, SCROLL_SAVE_DELAY);
+  }
+
+  document.addEventListener('click', onClick);
+  document.addEventListener('mouseover', onMouseOver);
+  document.addEventListener('mouseout', onMouseOut);
+  document.addEventListener('touchstart', onTouchStart, { passive: true });
+  window.addEventListener('popstate', onPopState);
+  window.addEventListener('scroll', onScroll, { passive: true });
+
+  return function teardown() {
+    navigation += 1;
+    clearTimeout(hoverTimer);
+    clearTimeout(scrollTimer);
+    document.removeEventListener('click', onClick);
+    document.removeEventListener('mouseover', onMouseOver);
+    document.removeEventListener('mouseout', onMouseOut);
+    document.removeEventListener('touchstart', onTouchStart);
+    window.removeEventListener('popstate', onPopState);
+    window.removeEventListener('scroll', onScroll);
+  };
+}
@@ -0,0 +1,127 @@
+// Mermaid diagrams for docs and blog pages.
+// Kramdown leaves ```mermaid fences as <pre><code class="language-mermaid">.
+// Mermaid is a large dependency, so it is split into its own chunk and only
+// imported once the first diagram approaches the viewport. If rendering
+// fails, the source block stays in place. Diagrams prerendered at build time
+// by scripts/prerender-mermaid.js are already SVG in the light theme; like
+// client-rendered ones they keep their source, and are drawn again when the
+// page shows (or switches to) the dark theme.
+//
+// initMermaidDiagrams(root) watches the diagrams under root and returns a
+// teardown that stops watching; index.js runs it for every page shown.
+
+import { mermaidConfig } from './mermaid-theme.js';
+import { currentTheme } from './theme.js';
+
+const SELECTOR = 'pre > code.language-mermaid';
+const FIGURES = 'figure.mermaid[data-mermaid-source]';
+
+let mermaidModule = null;
+let mermaidTheme = null; // theme Mermaid was last initialized for
+let renderCount = 0;
+
+// Resolves to Mermaid configured for the current theme; the config reads the
+// design tokens, so it is rebuilt whenever the theme has changed since.
+function loadMermaid() {
+  if (!mermaidModule) {
+    mermaidModule = import('mermaid').then(({ default: mermaid }) => mermaid);
+  }
+  return mermaidModule.then((mermaid) => {
+    const theme = currentTheme();
+    if (theme !== mermaidTheme) {
+      mermaid.initialize(mermaidConfig());
+      mermaidTheme = theme;
+    }
+    return { mermaid, theme };
+  });
+}
+
+function render(source, onRendered, onFailed) {
+  const id = `mermaid-diagram-${++renderCount}`;
+  loadMermaid()
+    .then(({ mermaid, theme }) => mermaid.render(id, source).then(({ svg }) => onRendered(svg, theme)))
+    .catch((error) => {
+      // Mermaid leaves its scratch container behind when parsing fails.
+      document.getElementById(`d${id}`)?.remove();
+      onFailed(error);
+    });
+}
+
+// A figure drawn for another theme (prerendered diagrams are light) is
+// drawn again once it approaches the viewport.
+function isStale(figure) {
+  return figure.dataset.mermaidTheme !== currentTheme();
+}
+
+function renderDiagram(code, watch) {
+  const pre = code.parentElement;
+  if (pre.dataset.mermaidState) return;
+  pre.dataset.mermaidState = 'loading';
+  const source = code.textContent;
+
+  render(source, (svg, theme) => {
+    if (!pre.isConnected) return; // the page moved on
+    const figure = document.createElement('figure');
+    figure.className = 'mermaid';
+    figure.dataset.mermaidSource = source;
+    figure.dataset.mermaidTheme = theme;
+    figure.innerHTML = svg;
+    pre.replaceWith(figure);
+    if (isStale(figure)) watch(figure);
+  }, (error) => {
+    pre.dataset.mermaidState = 'failed';
+    pre.title = 'This diagram could not be rendered; showing its source.';
+    console.warn('Mermaid diagram failed to render', error);
+  });
+}
+
+function rethemeDiagram(figure, watch) {
+  if (figure.dataset.mermaidState || !isStale(figure)) return;
+  figure.dataset.mermaidState = 'loading';
+
+  render(figure.dataset.mermaidSource, (svg, theme) => {
+    figure.innerHTML = svg;
+    figure.dataset.mermaidTheme = theme;
+    delete figure.dataset.mermaidState;
+    if (isStale(figure)) watch(figure);
+  }, (error) => {
+    // Keep the diagram in its old colors rather than lose it.
+    delete figure.dataset.mermaidState;
+    console.warn('Mermaid diagram failed to re-theme', error);
+  });
+}
+
+export function initMermaidDiagrams(root = document) {
+  let observer = null;
+  let stopped = false;
+  let watch;
+  const update = (element) => {
+    if (element.matches(SELECTOR)) renderDiagram(element, watch);
+    else rethemeDiagram(element, watch);
+  };
+  if (!('IntersectionObserver' in window)) {
+    watch = (element) => { if (!stopped) update(element); };
+  } else {
+    observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        update(entry.target);
+      });
+    }, { rootMargin: '200px 0px' });
+    watch = (element) => { if (!stopped) observer.observe(element); };
+  }
+
+  const watchStale = () => root.querySelectorAll(FIGURES).forEach((figure) => {
+    if (isStale(figure)) watch(figure);
+  });
+  root.querySelectorAll(SELECTOR).forEach((code) => watch(code));
+  watchStale();
+  document.addEventListener('themechange', watchStale);
+
+  return function teardown() {
+    stopped = true; // renders still in flight must not re-arm the observer
+    observer?.disconnect();
+    document.removeEventListener('themechange', watchStale);
+  };
+}
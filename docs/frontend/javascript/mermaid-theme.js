@@ -0,0 +1,57 @@
+// Mermaid configuration derived from the design tokens in tokens.css.
+// Shared by the lazy client renderer (mermaid-diagrams.js) and the build-time
+// prerender (scripts/prerender-mermaid.js) so both produce identical diagrams.
+
+// Mermaid derives shades from its theme colors and cannot parse oklch(), so
+// resolve each design token to sRGB through a 1×1 canvas.
+export function tokenColor(name, fallback) {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  if (!value) return fallback;
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 1;
+  const context = canvas.getContext('2d');
+  if (!context) return fallback;
+  context.fillStyle = fallback;
+  context.fillStyle = value;
+  context.fillRect(0, 0, 1, 1);
+  const [r, g, b] = context.getImageData(0, 0, 1, 1).data;
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function themeVariables() {
+  const paper = tokenColor('--color-paper', '#fdfbf8');
+  const paper2 = tokenColor('--color-paper-2', '#f7f4ef');
+  const ink = tokenColor('--color-ink', '#2a211c');
+  const ink2 = tokenColor('--color-ink-2', '#5a4f47');
+  const rule = tokenColor('--color-rule', '#e6e1da');
+  const accent = tokenColor('--color-accent', '#f26f4e');
+  const highlight = tokenColor('--color-highlight', '#b5e3d1');
+  return {
+    background: paper,
+    fontFamily: getComputedStyle(document.body).fontFamily,
+    primaryColor: paper2,
+    primaryTextColor: ink,
+    primaryBorderColor: accent,
+    secondaryColor: highlight,
+    secondaryTextColor: ink,
+    secondaryBorderColor: rule,
+    tertiaryColor: paper,
+    tertiaryTextColor: ink,
+    tertiaryBorderColor: rule,
+    lineColor: ink2,
+    textColor: ink,
+    noteBkgColor: paper2,
+    noteTextColor: ink2,
+    noteBorderColor: rule,
+  };
+}
+
+export function mermaidConfig() {
+  return {
+    startOnLoad: false,
+    securityLevel: 'strict',
+    theme: 'base',
+    themeVariables: themeVariables(),
+  };
+}
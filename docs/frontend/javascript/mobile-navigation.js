@@ -1,34 +1,61 @@
 // Mobile Navigation Handler with Animations
-document.addEventListener('DOMContentLoaded', function() {
-  // Get elements
-  const menuButton = document.getElementById('mobile-menu-button');
-  const mobileMenu = document.getElementById('mobile-menu');
-  const closeButton = document.getElementById('mobile-menu-close');
-  const backdrop = document.getElementById('mobile-menu-backdrop');
-  const menuPanel = mobileMenu?.querySelector('.relative.mr-16');
-  const focusableSelector = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
-  const focusableElements = () => Array.from(mobileMenu.querySelectorAll(focusableSelector))
+// initMobileNavigation(root) wires the menu button, drawer, focus trap and
+// hamburger animation found under root; initSidebarDropdowns(root) wires the
+// sidebar section toggles and restores their saved collapse state. Both
+// return a teardown function, and index.js calls them once the DOM is ready.
+
+const FOCUSABLE = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const CLOSE_DELAY = 300; // matches the drawer's slide-out transition
+
+// Focusable elements a keyboard user can reach inside container.
+export function focusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE))
     .filter(element => !element.closest('[hidden], .hidden') && element.getAttribute('aria-hidden') !== 'true');
+}
+
+// Where the focus trap sends a Tab press, or null to let the browser move
+// focus normally. Focus outside the list is pulled back to its nearest end.
+export function trapTarget(focusable, active, shiftKey) {
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (!focusable.includes(active)) return shiftKey ? last : first;
+  if (shiftKey && active === first) return last;
+  if (!shiftKey && active === last) return first;
+  return null;
+}
+
+export function initMobileNavigation(root = document) {
+  // Get elements
+  const menuButton = root.querySelector('#mobile-menu-button');
+  const mobileMenu = root.querySelector('#mobile-menu');
+  if (!menuButton || !mobileMenu) return () => {};
+
+  const closeButton = mobileMenu.querySelector('#mobile-menu-close');
+  const backdrop = mobileMenu.querySelector('#mobile-menu-backdrop');
+  const menuPanel = mobileMenu.querySelector('.relative.mr-16');
   let returnFocus = null;
-  
-  if (!menuButton || !mobileMenu) return;
+  let closeTimer = 0;
+
+  const isOpen = () => menuButton.getAttribute('aria-expanded') === 'true';
 
   // Toggle menu function with animations
   function toggleMenu(show) {
     if (show) {
+      clearTimeout(closeTimer);
       returnFocus = document.activeElement;
       // Show menu with animation
       mobileMenu.classList.remove('hidden');
       document.body.classList.add('overflow-hidden');
       menuButton.setAttribute('aria-expanded', 'true');
-      
+
       // Trigger animations after display change
       requestAnimationFrame(() => {
         mobileMenu.classList.add('menu-open');
         if (backdrop) backdrop.classList.add('backdrop-visible');
         if (menuPanel) menuPanel.classList.add('panel-visible');
-        const firstFocusable = closeButton || focusableElements()[0];
+        const firstFocusable = closeButton || focusableElements(mobileMenu)[0];
         firstFocusable?.focus();
+        mobileMenu.querySelectorAll('[data-doc-sidebar]').forEach(revealCurrentLink);
       });
     } else {
       // Hide menu with animation
@@ -36,76 +63,60 @@ document.addEventListener('DOMContentLoaded', function() {
       mobileMenu.classList.remove('menu-open');
       if (backdrop) backdrop.classList.remove('backdrop-visible');
       if (menuPanel) menuPanel.classList.remove('panel-visible');
-      
+
       // Hide after animation completes
-      setTimeout(() => {
+      closeTimer = setTimeout(() => {
         mobileMenu.classList.add('hidden');
         document.body.classList.remove('overflow-hidden');
         returnFocus?.focus();
         returnFocus = null;
-      }, 300);
+      }, CLOSE_DELAY);
     }
   }
 
-  // Event listeners
-  menuButton.addEventListener('click', () => toggleMenu(true));
-  
-  if (closeButton) {
-    closeButton.addEventListener('click', () => toggleMenu(false));
-  }
-
-  if (backdrop) {
-    backdrop.addEventListener('click', () => toggleMenu(false));
-  }
+  const open = () => toggleMenu(true);
+  const close = () => toggleMenu(false);
 
-  // Close on escape key
-  document.addEventListener('keydown', (e) => {
-    if (mobileMenu.classList.contains('hidden')) return;
+  // Close on escape key; keep Tab inside the open menu
+  function onKeydown(e) {
+    if (mobileMenu.classList.contains('hidden') || !isOpen()) return;
 
     if (e.key === 'Escape') {
       e.preventDefault();
-      toggleMenu(false);
+      close();
     } else if (e.key === 'Tab') {
-      const focusable = focusableElements();
+      const focusable = focusableElements(mobileMenu);
       if (focusable.length === 0) {
         e.preventDefault();
         return;
       }
 
-      const first = focusable[0];
-      const last = focusable[focusable.length - 1];
-      if (e.shiftKey && document.activeElement === first) {
-        e.preventDefault();
-        last.focus();
-      } else if (!e.shiftKey && document.activeElement === last) {
+      const target = trapTarget(focusable, document.activeElement, e.shiftKey);
+      if (target) {
         e.preventDefault();
-        first.focus();
+        target.focus();
       }
     }
-  });
+  }
 
-  // Dropdown toggles for both desktop and mobile
-  const dropdownButtons = document.querySelectorAll('[data-dropdown-toggle]');
-  dropdownButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      const isExpanded = button.getAttribute('aria-expanded') === 'true';
-      button.setAttribute('aria-expanded', !isExpanded);
-      
-      const icon = button.querySelector('svg');
-      if (icon) {
-        icon.classList.toggle('rotate-90');
-      }
-      
-      const targetId = button.getAttribute('data-dropdown-toggle');
-      const target = document.getElementById(targetId);
-      if (target) {
-        target.classList.toggle('hidden');
-      }
-    });
-  });
+  // A link followed by instant navigation leaves the page in place, so the
+  // menu closes itself; focus stays on the new page's heading.
+  function onInstantNavigation() {
+    if (!isOpen()) return;
+    returnFocus = null;
+    close();
+  }
+
+  // Event listeners
+  menuButton.addEventListener('click', open);
+  closeButton?.addEventListener('click', close);
+  backdrop?.addEventListener('click', close);
+  document.addEventListener('keydown', onKeydown);
+  document.addEventListener('instantnavigation', onInstantNavigation);
 
   // Animated hamburger icon
   const hamburgerIcon = menuButton.querySelector('svg');
+  const originalIcon = hamburgerIcon?.innerHTML;
   if (hamburgerIcon) {
     // Create animated hamburger structure
     hamburgerIcon.innerHTML = `
@@ -119,15 +130,111 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Update hamburger animation on menu state change
   const observer = new MutationObserver(() => {
-    const isOpen = menuButton.getAttribute('aria-expanded') === 'true';
+    hamburgerIcon?.classList.toggle('menu-icon-open', isOpen());
+  });
+  observer.observe(menuButton, { attributes: true, attributeFilter: ['aria-expanded'] });
+
+  return function teardown() {
+    clearTimeout(closeTimer);
+    observer.disconnect();
+    menuButton.removeEventListener('click', open);
+    closeButton?.removeEventListener('click', close);
+    backdrop?.removeEventListener('click', close);
+    document.removeEventListener('keydown', onKeydown);
+    document.removeEventListener('instantnavigation', onInstantNavigation);
     if (hamburgerIcon) {
-      if (isOpen) {
-        hamburgerIcon.classList.add('menu-icon-open');
-      } else {
-        hamburgerIcon.classList.remove('menu-icon-open');
-      }
+      hamburgerIcon.innerHTML = originalIcon;
+      hamburgerIcon.classList.remove('menu-icon-open');
     }
+    // Leave the page usable: closed menu, scrolling restored.
+    menuButton.setAttribute('aria-expanded', 'false');
+    mobileMenu.classList.remove('menu-open');
+    mobileMenu.classList.add('hidden');
+    backdrop?.classList.remove('backdrop-visible');
+    menuPanel?.classList.remove('panel-visible');
+    document.body.classList.remove('overflow-hidden');
+  };
+}
+
+// Dropdown toggles for both desktop and mobile sidebars.
+// Collapsed sections are saved in localStorage by section, with the
+// data-doc-sidebar prefix stripped from the toggle's target id
+// ("desktop-start-menu" and "mobile-start-menu" are both "start"), so the two
+// sidebars share one state and a toggle in either updates both. The section
+// holding the current page always opens on load.
+
+export const SIDEBAR_STORAGE_KEY = 'dspy-doc-sidebar-collapsed';
+
+// Section a toggle controls, independent of which sidebar it sits in.
+export function sectionKey(button) {
+  const target = button.getAttribute('data-dropdown-toggle');
+  const prefix = button.closest('[data-doc-sidebar]')?.getAttribute('data-doc-sidebar');
+  return prefix && target.startsWith(`${prefix}-`)
+    ? target.slice(prefix.length + 1).replace(/-menu$/, '')
+    : target;
+}
+
+function loadCollapsed() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SIDEBAR_STORAGE_KEY));
+    return new Set(Array.isArray(saved) ? saved : []);
+  } catch {
+    return new Set(); // storage disabled or unreadable
+  }
+}
+
+function saveCollapsed(collapsed) {
+  try {
+    window.localStorage.setItem(SIDEBAR_STORAGE_KEY, JSON.stringify([...collapsed]));
+  } catch {
+    // storage disabled: the state lasts for this page only
+  }
+}
+
+function setExpanded(button, expanded) {
+  button.setAttribute('aria-expanded', String(expanded));
+  button.querySelector('svg')?.classList.toggle('rotate-90', expanded);
+  document.getElementById(button.getAttribute('data-dropdown-toggle'))?.classList.toggle('hidden', !expanded);
+}
+
+// New scrollTop that centers an item (top/height relative to the scrolled
+// content) in a viewport, or null when it is already fully visible.
+export function revealScrollTop(itemTop, itemHeight, scrollTop, viewHeight) {
+  if (itemTop >= scrollTop && itemTop + itemHeight <= scrollTop + viewHeight) return null;
+  return Math.max(0, Math.round(itemTop - (viewHeight - itemHeight) / 2));
+}
+
+// Scrolls the sidebar's own scroll container (not the page) so the current
+// page's link is visible. A sidebar that is not displayed has no layout, so
+// the mobile menu calls this again once it opens.
+export function revealCurrentLink(sidebar) {
+  const link = sidebar.querySelector('a[aria-current="page"]');
+  const container = sidebar.parentElement;
+  if (!link || !container || container.clientHeight === 0) return;
+  const itemTop = link.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+  const top = revealScrollTop(itemTop, link.offsetHeight, container.scrollTop, container.clientHeight);
+  if (top !== null) container.scrollTop = top;
+}
+
+export function initSidebarDropdowns(root = document) {
+  const buttons = Array.from(root.querySelectorAll('[data-dropdown-toggle]'));
+  const collapsed = loadCollapsed();
+
+  buttons.forEach(button => {
+    const current = button.getAttribute('aria-current') === 'location';
+    setExpanded(button, current || !collapsed.has(sectionKey(button)));
   });
 
-  observer.observe(menuButton, { attributes: true, attributeFilter: ['aria-expanded'] });
-});
+  function onClick(e) {
+    const key = sectionKey(e.currentTarget);
+    const expanded = e.currentTarget.getAttribute('aria-expanded') !== 'true';
+    if (expanded) collapsed.delete(key);
+    else collapsed.add(key);
+    saveCollapsed(collapsed);
+    buttons.filter(button => sectionKey(button) === key).forEach(button => setExpanded(button, expanded));
+  }
+
+  buttons.forEach(button => button.addEventListener('click', onClick));
+  root.querySelectorAll('[data-doc-sidebar]').forEach(revealCurrentLink);
+  return () => buttons.forEach(button => button.removeEventListener('click', onClick));
+}
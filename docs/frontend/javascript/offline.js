@@ -0,0 +1,134 @@
+// Offline reading, page side.
+// registerServiceWorker() installs the worker named by
+// <meta name="service-worker"> (output/sw.js, see service-worker.js).
+// initOfflineStatus(root) drives the [data-offline-status] indicators in the
+// docs sidebars: whether the current page is saved, whether the browser is
+// offline, and a [data-offline-download] button that saves every published
+// page. Indicators stay hidden until a service worker controls the page.
+// Instant navigation keeps the sidebar, so the status refreshes on its
+// `instantnavigation` event.
+
+export function registerServiceWorker() {
+  const meta = document.querySelector('meta[name="service-worker"]');
+  if (!meta || !('serviceWorker' in navigator)) return;
+  const url = new URL(meta.content, window.location.href);
+  navigator.serviceWorker.register(url.href, { scope: new URL('./', url).pathname }).catch(() => {
+    // unsupported context (private mode, file://): the site works online as before
+  });
+}
+
+// What the indicator says for a state
+// { online, page, saved, total, progress: { done, total } | null }.
+export function offlineStatusText({ online, page, saved, total, progress }) {
+  if (progress) return `Saving docs for offline reading… ${progress.done} of ${progress.total}`;
+  if (!online) return page ? 'Offline — reading the saved copy' : 'Offline';
+  if (total > 0 && saved === total) return 'All docs available offline';
+  if (page) return 'This page is available offline';
+  if (page === false) return 'This page is not saved for offline reading';
+  return `${saved} of ${total} docs saved for offline reading`;
+}
+
+// A keyword for styling the indicator's dot.
+function offlineState({ online, page, progress }) {
+  if (progress) return 'saving';
+  if (!online) return 'offline';
+  return page ? 'saved' : 'unsaved';
+}
+
+// Posts message to the worker with a port for its replies; returns a
+// function that closes the port.
+function ask(worker, message, onReply) {
+  const channel = new MessageChannel();
+  channel.port1.onmessage = (e) => onReply(e.data);
+  worker.postMessage(message, [channel.port2]);
+  return () => channel.port1.close();
+}
+
+export function initOfflineStatus(root = document) {
+  const containers = Array.from(root.querySelectorAll('[data-offline-status]'));
+  const serviceWorker = navigator.serviceWorker;
+  if (containers.length === 0 || !serviceWorker) return () => {};
+
+  const state = { online: navigator.onLine, page: null, saved: 0, total: 0, progress: null };
+  const ports = new Set();
+  let downloadFailed = 0;
+
+  function render() {
+    const text = offlineStatusText(state);
+    containers.forEach((container) => {
+      container.hidden = state.total === 0; // no answer from the worker yet
+      container.dataset.offlineState = offlineState(state);
+      const message = container.querySelector('[data-offline-status-text]');
+      if (message) message.textContent = downloadFailed ? `${text} (${downloadFailed} failed)` : text;
+      const button = container.querySelector('[data-offline-download]');
+      if (button) {
+        button.disabled = Boolean(state.progress) || !state.online;
+        button.textContent = state.total > 0 && state.saved === state.total ? 'Update offline docs' : 'Download all docs';
+      }
+    });
+  }
+
+  function request(message, onReply) {
+    const worker = serviceWorker.controller;
+    if (!worker) return;
+    const close = ask(worker, { ...message, url: window.location.pathname }, (reply) => {
+      onReply(reply);
+      if (reply.type !== 'progress') {
+        close();
+        ports.delete(close);
+      }
+    });
+    ports.add(close);
+  }
+
+  function update(reply) {
+    if (reply.type === 'progress') {
+      state.progress = { done: reply.done, total: reply.total };
+    } else {
+      state.page = reply.page;
+      state.saved = reply.saved;
+      state.total = reply.total;
+      if (reply.type === 'downloaded') {
+        state.progress = null;
+        downloadFailed = reply.failed;
+      }
+    }
+    render();
+  }
+
+  const refresh = () => request({ type: 'status' }, update);
+
+  function onDownload() {
+    downloadFailed = 0;
+    state.progress = { done: 0, total: state.total };
+    render();
+    request({ type: 'download-docs' }, update);
+  }
+
+  function onConnection() {
+    state.online = navigator.onLine;
+    render();
+  }
+
+  const buttons = containers.map((container) => container.querySelector('[data-offline-download]')).filter(Boolean);
+  buttons.forEach((button) => button.addEventListener('click', onDownload));
+  window.addEventListener('online', onConnection);
+  window.addEventListener('offline', onConnection);
+  document.addEventListener('instantnavigation', refresh);
+  // The first visit loads before the worker takes over.
+  serviceWorker.addEventListener('controllerchange', refresh);
+  refresh();
+
+  return function teardown() {
+    ports.forEach((close) => close());
+    buttons.forEach((button) => button.removeEventListener('click', onDownload));
+    window.removeEventListener('online', onConnection);
+    window.removeEventListener('offline', onConnection);
+    document.removeEventListener('instantnavigation', refresh);
+    serviceWorker.removeEventListener('controllerchange', refresh);
+    containers.forEach((container) => {
+      container.hidden = true;
+      delete container.dataset.offlineState;
+    });
+  };
+}
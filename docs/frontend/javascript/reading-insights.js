@@ -0,0 +1,120 @@
+// Reading insights for docs pages: how far readers scroll through the
+// article and how long they stay in each h2 section, sent as the
+// 'Scroll Depth' and 'Section Dwell' events declared in analytics.js with
+// the page's navigation section and traversal. Code copies (code-blocks.js)
+// and contextual exits (data-track in their markup) are tracked where they
+// happen.
+//
+// The current section follows the rule of table-of-contents.js: the last h2
+// that has scrolled past the header. Dwell times add up while the tab is
+// visible and are sent when it is hidden or the page is left, one event per
+// section read for at least MIN_DWELL. Depth milestones only count from the
+// first scroll: whatever the first screen shows, including all of a short
+// article, hasn't been read yet.
+//
+// initReadingInsights(root) returns a teardown that sends what it has
+// collected; index.js runs it for every page shown.
+
+import { pageContext, track } from './analytics.js';
+
+const HEADER_OFFSET = 80; // matches table-of-contents.js
+export const DEPTH_MILESTONES = [25, 50, 75, 100];
+const MIN_DWELL = 5000; // shorter stays are scrolling past, not reading
+const DWELL_BUCKETS = [
+  [15000, '5-15s'],
+  [30000, '15-30s'],
+  [60000, '30-60s'],
+  [180000, '1-3m'],
+  [Infinity, '3m+'],
+];
+
+// Percentage of the article above the bottom of the viewport, from its
+// bounding rectangle.
+export function scrollDepth(articleTop, articleHeight, viewHeight) {
+  if (articleHeight <= 0) return 100;
+  return Math.max(0, Math.min(100, Math.round(((viewHeight - articleTop) / articleHeight) * 100)));
+}
+
+// Plausible props are strings, so dwell times are reported in ranges.
+export function dwellBucket(ms) {
+  return DWELL_BUCKETS.find(([limit]) => ms < limit)[1];
+}
+
+export function initReadingInsights(root = document) {
+  const article = root.querySelector('article.prose');
+  if (!article) return () => {};
+
+  const headings = Array.from(article.querySelectorAll('h2[id]'));
+  const context = pageContext(article); // section and traversal
+  const reached = new Set();
+  const dwell = new Map(); // h2 id → ms
+  let current = null;
+  let visible = document.visibilityState !== 'hidden';
+  let since = performance.now();
+  let scrolled = false;
+  let raf = 0;
+
+  // Credits the time since the last check to the section being read.
+  function settle() {
+    const now = performance.now();
+    if (current && visible) dwell.set(current, (dwell.get(current) || 0) + now - since);
+    since = now;
+  }
+
+  function flush() {
+    settle();
+    dwell.forEach((ms, heading) => {
+      if (ms >= MIN_DWELL) track('Section Dwell', { ...context, heading, duration: dwellBucket(ms) });
+    });
+    dwell.clear();
+  }
+
+  function recordDepth() {
+    const rect = article.getBoundingClientRect();
+    const depth = scrollDepth(rect.top, rect.height, window.innerHeight);
+    DEPTH_MILESTONES.filter((milestone) => depth >= milestone && !reached.has(milestone)).forEach((milestone) => {
+      reached.add(milestone);
+      track('Scroll Depth', { ...context, depth: `${milestone}%` });
+    });
+  }
+
+  function update() {
+    if (scrolled) recordDepth();
+
+    let heading = null;
+    headings.forEach((h2) => {
+      if (h2.getBoundingClientRect().top <= HEADER_OFFSET + 1) heading = h2.id;
+    });
+    if (heading !== current) {
+      settle();
+      current = heading;
+    }
+  }
+
+  const onScroll = () => {
+    scrolled = true;
+    if (raf) return;
+    raf = requestAnimationFrame(() => { raf = 0; update(); });
+  };
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      flush();
+      visible = false;
+    } else {
+      visible = true;
+      since = performance.now();
+    }
+  }
+
+  window.addEventListener('scroll', onScroll, { passive: true });
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  update();
+
+  return function teardown() {
+    cancelAnimationFrame(raf);
+    window.removeEventListener('scroll', onScroll);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    flush();
+  };
+}
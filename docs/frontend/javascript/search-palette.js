@@ -0,0 +1,325 @@
+// Cmd/Ctrl+K search palette.
+// Ranks documents entirely in the browser against the sharded index built by
+// scripts/generate-search-index.js, so search works on the static GitHub
+// Pages build. The manifest (titles, headings, code identifiers) answers
+// immediately; body shards stream in behind it and refine the ranking.
+
+const MAX_RESULTS = 8;
+const EXCERPT_BEFORE = 60;
+const EXCERPT_AFTER = 120;
+
+// Field weights: a hit in the title outranks a code identifier, which
+// outranks a section heading, which outranks any number of body mentions.
+const WEIGHT = { title: 12, identifier: 8, heading: 6, body: 1, bodyCap: 5 };
+
+let documents = null;
+let loading = null;
+let onShardsLoaded = () => {};
+
+function fetchJSON(url) {
+  return fetch(url, { credentials: 'same-origin' }).then((response) => {
+    if (!response.ok) throw new Error(`Search index returned ${response.status} for ${url}`);
+    return response.json();
+  });
+}
+
+// A manifest entry, lowercased once for matching. Its section texts arrive
+// later with its shard.
+export function searchDocument(doc) {
+  return {
+    url: doc.u,
+    title: doc.t,
+    section: doc.s,
+    excerpt: doc.e,
+    titleLower: doc.t.toLowerCase(),
+    identifiers: doc.c.map((id) => id.toLowerCase()),
+    headings: doc.h.map(([id, text]) => ({ id, text, lower: text.toLowerCase() })),
+    sections: null,
+    sectionsLower: null,
+  };
+}
+
+export function addSections(doc, sections) {
+  doc.sections = sections;
+  doc.sectionsLower = sections.map((text) => text.toLowerCase());
+}
+
+function loadIndex(manifestUrl) {
+  if (documents) return Promise.resolve(documents);
+  if (!loading) {
+    loading = fetchJSON(manifestUrl)
+      .then((manifest) => {
+        documents = manifest.docs.map(searchDocument);
+        manifest.shards.forEach((file) => {
+          fetchJSON(new URL(file, new URL(manifestUrl, window.location.href)).href)
+            .then((shard) => {
+              Object.keys(shard).forEach((i) => addSections(documents[i], shard[i]));
+              onShardsLoaded();
+            })
+            .catch(() => { /* rank on the manifest alone */ });
+        });
+        return documents;
+      })
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+}
+
+export function terms(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function occurrences(haystack, needle) {
+  let count = 0;
+  let at = haystack.indexOf(needle);
+  while (at !== -1 && count < WEIGHT.bodyCap) {
+    count += 1;
+    at = haystack.indexOf(needle, at + needle.length);
+  }
+  return count;
+}
+
+function hits(text, words) {
+  return words.filter((word) => text.includes(word)).length;
+}
+
+function clip(text, words) {
+  const lower = text.toLowerCase();
+  const first = words
+    .map((word) => lower.indexOf(word))
+    .filter((at) => at !== -1)
+    .sort((a, b) => a - b)[0];
+  if (first === undefined) return null;
+  const start = Math.max(0, first - EXCERPT_BEFORE);
+  const end = Math.min(text.length, first + EXCERPT_AFTER);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+// Every term must appear somewhere in the document. The heading that covers
+// the most terms becomes the deep link; failing that, the section whose body
+// does (section 0 is the intro, section n sits under heading n - 1).
+export function score(doc, words) {
+  let total = 0;
+  for (const word of words) {
+    const inTitle = doc.titleLower.includes(word);
+    const inIdentifier = doc.identifiers.some((id) => id.includes(word));
+    const inHeading = doc.headings.some((h) => h.lower.includes(word));
+    const inBody = doc.sectionsLower
+      ? Math.min(WEIGHT.bodyCap, doc.sectionsLower.reduce((n, text) => n + occurrences(text, word), 0))
+      : 0;
+    if (!inTitle && !inIdentifier && !inHeading && !inBody) return null;
+    if (inTitle) total += WEIGHT.title;
+    if (inIdentifier) total += WEIGHT.identifier;
+    if (inHeading) total += WEIGHT.heading;
+    total += inBody * WEIGHT.body;
+  }
+
+  let target = -1;
+  let best = 0;
+  doc.headings.forEach((h, i) => {
+    const n = hits(h.lower, words);
+    if (n > best) { best = n; target = i + 1; }
+  });
+  if (target === -1 && doc.sectionsLower) {
+    doc.sectionsLower.forEach((text, i) => {
+      const n = hits(text, words);
+      if (n > best) { best = n; target = i; }
+    });
+  }
+
+  const heading = target > 0 ? doc.headings[target - 1] : null;
+  const body = doc.sections && target !== -1 ? doc.sections[target] : null;
+  const excerpt = (body && clip(body, words))
+    || (doc.sections && doc.sections.map((text) => clip(text, words)).find(Boolean))
+    || doc.excerpt;
+
+  return { doc, heading, excerpt, total };
+}
+
+export function rank(docs, words) {
+  return docs
+    .map((doc) => score(doc, words))
+    .filter(Boolean)
+    .sort((a, b) => b.total - a.total)
+    .slice(0, MAX_RESULTS);
+}
+
+// Append `text` to `parent`, wrapping each matched term in <mark>. Built from
+// text nodes so index content is never parsed as HTML.
+function appendHighlighted(parent, text, words) {
+  const pattern = new RegExp(`(${words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  text.split(pattern).forEach((part, i) => {
+    if (!part) return;
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      parent.appendChild(mark);
+    } else {
+      parent.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+export function initSearchPalette(root = document) {
+  const meta = document.querySelector('meta[name="search-index"]');
+  if (!meta) return () => {};
+  const manifestUrl = meta.content;
+
+  const palette = document.createElement('div');
+  palette.className = 'search-palette';
+  palette.hidden = true;
+  palette.innerHTML = `
+    <div class="search-palette-backdrop" data-search-close></div>
+    <div class="search-palette-panel" role="dialog" aria-modal="true" aria-label="Search documentation">
+      <input type="search" class="search-palette-input" placeholder="Search docs and articles" autocomplete="off" spellcheck="false"
+             role="combobox" aria-expanded="false" aria-controls="search-palette-results" aria-autocomplete="list">
+      <ul id="search-palette-results" class="search-palette-results" role="listbox" aria-label="Search results"></ul>
+      <p class="search-palette-status" aria-live="polite"></p>
+      <p class="search-palette-hint" aria-hidden="true"><kbd>↑</kbd><kbd>↓</kbd> to move · <kbd>↵</kbd> to open · <kbd>esc</kbd> to close</p>
+    </div>
+  `;
+  document.body.appendChild(palette);
+
+  const input = palette.querySelector('input');
+  const list = palette.querySelector('[role="listbox"]');
+  const status = palette.querySelector('.search-palette-status');
+  const buttons = Array.from(root.querySelectorAll('[data-search-open]'));
+  let results = [];
+  let active = -1;
+  let returnFocus = null;
+
+  function setActive(i) {
+    const options = Array.from(list.children);
+    if (options.length === 0) {
+      active = -1;
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    active = (i + options.length) % options.length;
+    options.forEach((option, oi) => option.setAttribute('aria-selected', String(oi === active)));
+    input.setAttribute('aria-activedescendant', options[active].id);
+    options[active].scrollIntoView({ block: 'nearest' });
+  }
+
+  function render(words) {
+    list.textContent = '';
+    results.forEach(({ doc, heading, excerpt }, i) => {
+      const li = document.createElement('li');
+      li.id = `search-palette-option-${i}`;
+      li.setAttribute('role', 'option');
+      li.className = 'search-palette-option';
+
+      const link = document.createElement('a');
+      link.href = heading ? `${doc.url}#${encodeURIComponent(heading.id)}` : doc.url;
+      link.tabIndex = -1;
+
+      const section = document.createElement('span');
+      section.className = 'search-palette-section';
+      section.textContent = doc.section;
+      const title = document.createElement('span');
+      title.className = 'search-palette-title';
+      appendHighlighted(title, heading ? `${doc.title} › ${heading.text}` : doc.title, words);
+      const snippet = document.createElement('span');
+      snippet.className = 'search-palette-excerpt';
+      appendHighlighted(snippet, excerpt, words);
+
+      link.append(section, title, snippet);
+      li.appendChild(link);
+      li.addEventListener('mousemove', () => { if (active !== i) setActive(i); });
+      list.appendChild(li);
+    });
+    input.setAttribute('aria-expanded', String(results.length > 0));
+    setActive(0);
+  }
+
+  function update() {
+    const words = terms(input.value);
+    if (words.length === 0) {
+      results = [];
+      render(words);
+      status.textContent = '';
+      return;
+    }
+    loadIndex(manifestUrl)
+      .then(() => {
+        if (terms(input.value).join(' ') !== words.join(' ')) return; // stale keystroke
+        results = rank(documents, words);
+        render(words);
+        status.textContent = results.length === 0
+          ? `No results for “${input.value.trim()}”`
+          : `${results.length} result${results.length === 1 ? '' : 's'}`;
+      })
+      .catch(() => {
+        status.textContent = 'Search is unavailable right now.';
+      });
+  }
+
+  function open() {
+    if (!palette.hidden) return;
+    returnFocus = document.activeElement;
+    palette.hidden = false;
+    document.body.classList.add('overflow-hidden');
+    input.focus();
+    input.select();
+    loadIndex(manifestUrl).catch(() => { status.textContent = 'Search is unavailable right now.'; });
+  }
+
+  function close() {
+    if (palette.hidden) return;
+    palette.hidden = true;
+    document.body.classList.remove('overflow-hidden');
+    returnFocus?.focus();
+    returnFocus = null;
+  }
+
+  function go(i) {
+    const link = list.children[i]?.querySelector('a');
+    if (link) window.location.assign(link.href);
+  }
+
+  const onShards = () => { if (!palette.hidden) update(); };
+  onShardsLoaded = onShards;
+  input.addEventListener('input', update);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive(active + 1); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive(active - 1); }
+    else if (e.key === 'Enter' && active !== -1) { e.preventDefault(); go(active); }
+    else if (e.key === 'Escape') { e.preventDefault(); close(); }
+    else if (e.key === 'Tab') e.preventDefault(); // the input is the only focus stop
+  });
+  palette.querySelector('[data-search-close]').addEventListener('click', close);
+
+  // Autofill and some extensions dispatch keydown events without a key.
+  function onKeydown(e) {
+    if (e.key?.toLowerCase() === 'k' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      if (palette.hidden) open(); else close();
+      return;
+    }
+    const typing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+    if (e.key === '/' && palette.hidden && !typing) {
+      e.preventDefault();
+      open();
+    }
+  }
+
+  document.addEventListener('keydown', onKeydown);
+  buttons.forEach((button) => {
+    button.hidden = false;
+    button.addEventListener('click', open);
+  });
+
+  return () => {
+    close();
+    document.removeEventListener('keydown', onKeydown);
+    buttons.forEach((button) => {
+      button.hidden = true;
+      button.removeEventListener('click', open);
+    });
+    if (onShardsLoaded === onShards) onShardsLoaded = () => {};
+    palette.remove();
+  };
+}
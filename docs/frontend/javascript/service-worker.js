@@ -0,0 +1,152 @@
+// Service worker for offline reading.
+// esbuild.config.js compiles this to output/sw.js, at the site root so its
+// scope covers every page, and injects PRECACHE_MANIFEST from
+// scripts/generate-precache-manifest.js: { version, shell: [url], docs: [url] }.
+//
+// - The app shell (index.js, index.css, fonts) is precached on install and
+//   served cache-first from a cache named after the manifest version.
+// - Published doc pages are served stale-while-revalidate. A page is saved
+//   the first time it is read, or all at once through "Download all docs".
+//   Their cache outlives deploys; each read refreshes the copy.
+// - Scripts, styles, fonts and images the pages load are handled the same
+//   way, so a saved page keeps its diagrams' chunks and its images.
+//
+// Pages talk to the worker through frontend/javascript/offline.js, posting
+// { type: 'status', url } or { type: 'download-docs', url } with a MessagePort
+// for the replies (url is the page asking).
+
+/* global PRECACHE_MANIFEST */
+const { version, shell, docs } = PRECACHE_MANIFEST;
+
+const SHELL_CACHE = `dspy-shell-${version}`;
+const PAGES_CACHE = 'dspy-pages';
+const ASSETS_CACHE = 'dspy-assets';
+const OWN_CACHES = [SHELL_CACHE, PAGES_CACHE, ASSETS_CACHE];
+const ASSET_DESTINATIONS = ['script', 'style', 'font', 'image'];
+const DOWNLOAD_CONCURRENCY = 4;
+
+const SCOPE = new URL('./', self.location.href).pathname;
+const shellURLs = new Set(shell);
+const docURLs = new Set(docs);
+
+const OFFLINE_PAGE = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Offline | DSPy.rb Documentation</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 36rem; margin: 4rem auto; padding: 0 1rem; line-height: 1.5">
+<h1>You're offline</h1>
+<p>This page hasn't been saved for offline reading yet. Next time you're online, use “Download all docs” in the sidebar to save every page.</p>
+<p><a href="${SCOPE}getting-started/">Back to the docs</a></p>
+</body></html>`;
+
+function offlineResponse() {
+  return new Response(OFFLINE_PAGE, {
+    status: 503,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  });
+}
+
+// Only complete, same-URL answers are worth keeping; a redirected response
+// cannot be replayed for a navigation.
+const cacheable = (response) => response.ok && !response.redirected && response.type === 'basic';
+
+async function cacheFirst(cacheName, request) {
+  const cached = await caches.match(request, { cacheName });
+  return cached || fetch(request);
+}
+
+async function staleWhileRevalidate(cacheName, request, event, fallback) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(async (response) => {
+    if (cacheable(response)) await cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return fallback ? network.catch(fallback) : network;
+}
+
+async function savedDocs() {
+  const keys = await (await caches.open(PAGES_CACHE)).keys();
+  const saved = new Set(keys.map((request) => new URL(request.url).pathname));
+  return docs.filter((url) => saved.has(url));
+}
+
+// `page` is null for pages outside the docs (home, blog).
+async function status(url) {
+  const saved = await savedDocs();
+  return {
+    type: 'status',
+    page: docURLs.has(url) ? saved.includes(url) : null,
+    saved: saved.length,
+    total: docs.length,
+  };
+}
+
+async function downloadDocs(port, url) {
+  const cache = await caches.open(PAGES_CACHE);
+  let done = 0;
+  let failed = 0;
+
+  // A few at a time, so the download doesn't crowd out the page being read.
+  for (let i = 0; i < docs.length; i += DOWNLOAD_CONCURRENCY) {
+    await Promise.all(docs.slice(i, i + DOWNLOAD_CONCURRENCY).map(async (doc) => {
+      try {
+        const response = await fetch(doc, { cache: 'no-cache', credentials: 'same-origin' });
+        if (!cacheable(response)) throw new Error(`${response.status} ${doc}`);
+        await cache.put(doc, response);
+      } catch {
+        failed += 1;
+      }
+      done += 1;
+      port.postMessage({ type: 'progress', done, total: docs.length });
+    }));
+  }
+  port.postMessage({ ...(await status(url)), type: 'downloaded', failed });
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(shell))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the previous deploy's shell; saved pages and assets stay.
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith('dspy-') && !OWN_CACHES.includes(key)).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || !url.pathname.startsWith(SCOPE)) return;
+
+  if (shellURLs.has(url.pathname)) {
+    event.respondWith(cacheFirst(SHELL_CACHE, url.pathname));
+  } else if (docURLs.has(url.pathname)) {
+    // Keyed by path: ?query and #fragment variants share one saved copy.
+    event.respondWith(staleWhileRevalidate(PAGES_CACHE, url.pathname, event, offlineResponse));
+  } else if (ASSET_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(staleWhileRevalidate(ASSETS_CACHE, request, event));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const port = event.ports[0];
+  if (!port) return;
+  if (event.data?.type === 'status') {
+    event.waitUntil(status(event.data.url).then((reply) => port.postMessage(reply)));
+  } else if (event.data?.type === 'download-docs') {
+    event.waitUntil(downloadDocs(port, event.data.url));
+  }
+});
@@ -0,0 +1,115 @@
+// "On this page" table of contents for docs pages.
+// Builds the right rail ([data-doc-toc="desktop"]) and the small-screen
+// dropdown ([data-doc-toc="mobile"]) from the article's h2/h3 headings, then
+// marks the section being read. Both containers stay hidden on short pages
+// or when this script doesn't run.
+//
+// initTableOfContents(root) returns a teardown that empties and hides the
+// containers again; index.js runs it for every page shown.
+
+const HEADER_OFFSET = 80; // sticky docs header (4rem) plus breathing room
+
+function headingText(heading) {
+  const clone = heading.cloneNode(true);
+  clone.querySelectorAll('.anchor-link').forEach((a) => a.remove());
+  return clone.textContent.trim();
+}
+
+function buildList(headings) {
+  const list = document.createElement('ol');
+  list.className = 'doc-toc-list';
+  const links = headings.map((heading) => {
+    const li = document.createElement('li');
+    li.className = heading.tagName === 'H3' ? 'doc-toc-item doc-toc-item-nested' : 'doc-toc-item';
+    const a = document.createElement('a');
+    a.href = `#${encodeURIComponent(heading.id)}`;
+    a.textContent = headingText(heading);
+    li.appendChild(a);
+    list.appendChild(li);
+    return a;
+  });
+  return { list, links };
+}
+
+export function initTableOfContents(root = document) {
+  const article = root.querySelector('article.prose');
+  const containers = Array.from(root.querySelectorAll('[data-doc-toc]'));
+  if (!article || containers.length === 0) return () => {};
+
+  const headings = Array.from(article.querySelectorAll('h2[id], h3[id]'));
+  if (headings.length < 2) return () => {};
+
+  const reduce = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const views = containers.map((container) => {
+    const { list, links } = buildList(headings);
+    const mount = container.querySelector('[data-doc-toc-list]') || container;
+    mount.appendChild(list);
+    container.hidden = false;
+    return { container, list, links, current: container.querySelector('[data-doc-toc-current]') };
+  });
+
+  // Close the dropdown once a destination is picked; the document-wide anchor
+  // handler in index.js does the scrolling.
+  const onPick = (e) => {
+    if (e.target.closest('a')) e.currentTarget.open = false;
+  };
+  views.forEach(({ container }) => {
+    if (container.tagName === 'DETAILS') container.addEventListener('click', onPick);
+  });
+
+  let active = -1;
+
+  function keepVisible(container, link) {
+    if (container.scrollHeight <= container.clientHeight) return;
+    const top = link.offsetTop - container.offsetTop;
+    if (top < container.scrollTop || top > container.scrollTop + container.clientHeight - link.offsetHeight) {
+      container.scrollTo({ top: top - container.clientHeight / 3, behavior: reduce ? 'instant' : 'smooth' });
+    }
+  }
+
+  function render(i) {
+    if (i === active) return;
+    active = i;
+    views.forEach(({ container, links, current }) => {
+      links.forEach((link, li) => {
+        if (li === i) link.setAttribute('aria-current', 'location');
+        else link.removeAttribute('aria-current');
+      });
+      if (current) current.textContent = i === -1 ? '' : links[i].textContent;
+      if (i !== -1 && container.tagName !== 'DETAILS') keepVisible(container, links[i]);
+    });
+  }
+
+  // The current section is the last heading that has scrolled past the
+  // header; before the first heading nothing is marked.
+  function update() {
+    let current = -1;
+    headings.forEach((heading, i) => {
+      if (heading.getBoundingClientRect().top <= HEADER_OFFSET + 1) current = i;
+    });
+    render(current);
+  }
+
+  // Checked on every (rAF-throttled) scroll rather than on observer
+  // callbacks, which only fire when a heading crosses a band: scrolling within
+  // a long section, or jumping past several headings, would leave it stale.
+  let raf = 0;
+  const onScroll = () => {
+    if (raf) return;
+    raf = requestAnimationFrame(() => { raf = 0; update(); });
+  };
+  window.addEventListener('scroll', onScroll, { passive: true });
+
+  update();
+
+  return function teardown() {
+    cancelAnimationFrame(raf);
+    window.removeEventListener('scroll', onScroll);
+    views.forEach(({ container, list, current }) => {
+      container.removeEventListener('click', onPick);
+      list.remove();
+      container.hidden = true;
+      if (current) current.textContent = '';
+    });
+  };
+}
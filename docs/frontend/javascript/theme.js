@@ -0,0 +1,97 @@
+// Light/dark theme.
+// The token sets live in index.css: :root is the light "paper" theme, and
+// the dark set applies under [data-theme="dark"] on <html> or, when no theme
+// is chosen, under prefers-color-scheme: dark. So with no saved choice the
+// page follows the system without any JavaScript.
+//
+// A choice made with a [data-theme-toggle] button is saved in localStorage
+// under STORAGE_KEY. The inline script at the top of head.liquid applies it
+// before first paint (keep the key in sync); this module only keeps the
+// attribute, the toggles and other tabs up to date afterwards.
+//
+// Every change of the effective theme dispatches a `themechange` event on
+// document with { detail: { theme } }, e.g. for re-theming Mermaid diagrams.
+
+export const STORAGE_KEY = 'dspy-theme';
+const THEMES = ['light', 'dark'];
+
+const systemQuery = () => window.matchMedia('(prefers-color-scheme: dark)');
+
+// The saved choice, or null when the page should follow the system.
+export function storedTheme() {
+  try {
+    const value = window.localStorage.getItem(STORAGE_KEY);
+    return THEMES.includes(value) ? value : null;
+  } catch {
+    return null; // storage disabled
+  }
+}
+
+export function systemTheme() {
+  return systemQuery().matches ? 'dark' : 'light';
+}
+
+// The theme the page is showing right now.
+export function currentTheme() {
+  return document.documentElement.dataset.theme || systemTheme();
+}
+
+function applyTheme(theme) {
+  if (theme) document.documentElement.dataset.theme = theme;
+  else delete document.documentElement.dataset.theme;
+  document.dispatchEvent(new CustomEvent('themechange', { detail: { theme: currentTheme() } }));
+}
+
+// Saves theme ('light', 'dark', or null to follow the system) and applies it.
+export function setTheme(theme) {
+  const choice = THEMES.includes(theme) ? theme : null;
+  try {
+    if (choice) window.localStorage.setItem(STORAGE_KEY, choice);
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // storage disabled: the choice lasts until the next page load
+  }
+  applyTheme(choice);
+}
+
+export function initThemeToggle(root = document) {
+  const buttons = Array.from(root.querySelectorAll('[data-theme-toggle]'));
+
+  function sync() {
+    const dark = String(currentTheme() === 'dark');
+    buttons.forEach((button) => button.setAttribute('aria-pressed', dark));
+  }
+
+  const onClick = () => setTheme(currentTheme() === 'dark' ? 'light' : 'dark');
+
+  // The system preference only matters while nothing is saved.
+  function onSystemChange() {
+    if (!document.documentElement.dataset.theme) applyTheme(null);
+  }
+
+  // Another tab saved a choice.
+  function onStorage(e) {
+    if (e.key === STORAGE_KEY || e.key === null) applyTheme(storedTheme());
+  }
+
+  const system = systemQuery();
+  buttons.forEach((button) => {
+    button.addEventListener('click', onClick);
+    button.hidden = false; // server-rendered hidden: useless without this module
+  });
+  document.addEventListener('themechange', sync);
+  system.addEventListener('change', onSystemChange);
+  window.addEventListener('storage', onStorage);
+  sync();
+
+  return function teardown() {
+    buttons.forEach((button) => {
+      button.removeEventListener('click', onClick);
+      button.removeAttribute('aria-pressed');
+      button.hidden = true;
+    });
+    document.removeEventListener('themechange', sync);
+    system.removeEventListener('change', onSystemChange);
+    window.removeEventListener('storage', onStorage);
+  };
+}
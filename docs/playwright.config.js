@@ -0,0 +1,60 @@
+const { defineConfig, devices } = require('@playwright/test');
+
+// Browser suites run against the built site in output/, served locally under
+// the production base path by scripts/serve-output.js. Build first:
+//
+//   bun run build && bun run test:visual && bun run test:a11y
+//
+// Requests to other hosts are aborted (test/support/fixtures.js), so the
+// suites need no network once Chromium is installed.
+
+const PORT = 4010;
+
+module.exports = defineConfig({
+  testDir: './test',
+  outputDir: './test-results',
+  fullyParallel: false,
+  workers: 1,
+  forbidOnly: Boolean(process.env.CI),
+  reporter: process.env.CI ? 'line' : 'list',
+  // Baselines are committed next to each suite; one set per project, no
+  // per-OS suffix, so regenerate them on the platform CI uses.
+  snapshotPathTemplate: '{testDir}/__screenshots__/{testFileName}/{arg}{ext}',
+  // CI compares against the committed baselines and never writes new ones:
+  // a missing baseline fails the run instead of passing on its next one.
+  updateSnapshots: process.env.CI ? 'none' : 'missing',
+  expect: {
+    toHaveScreenshot: {
+      // Anti-aliasing noise stays under `threshold`; real layout shifts move
+      // far more than 1% of the pixels in a component screenshot.
+      threshold: 0.2,
+      maxDiffPixelRatio: 0.01,
+      animations: 'disabled',
+      caret: 'hide',
+    },
+  },
+  use: {
+    baseURL: `http://localhost:${PORT}`,
+    reducedMotion: 'reduce',
+    colorScheme: 'light',
+    trace: 'retain-on-failure',
+  },
+  webServer: {
+    command: `node scripts/serve-output.js ${PORT}`,
+    url: `http://localhost:${PORT}/dspy.rb/`,
+    reuseExistingServer: !process.env.CI,
+    timeout: 30_000,
+  },
+  projects: [
+    {
+      name: 'visual',
+      testDir: './test/visual',
+      use: { ...devices['Desktop Chrome'], viewport: { width: 1280, height: 800 } },
+    },
+    {
+      name: 'a11y',
+      testDir: './test/a11y',
+      use: { ...devices['Desktop Chrome'] },
+    },
+  ],
+});
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+# Points each published documentation page at the card rendered for it by
+# scripts/generate-og-images.js. Pages without a generated card keep the
+# default image from bridgetown.config.yml.
+class DocumentationOgImages < Bridgetown::Builder
+  def build
+    hook :site, :pre_render, priority: :high do |site|
+      navigation = site.data.fetch("documentation_navigation")
+      base_path = site.config.fetch("base_path", "").delete_suffix("/")
+      sections = navigation.fetch("sections").to_h { [_1.fetch("id"), _1.fetch("label")] }
+      items = navigation.fetch("items")
+        .select { _1.fetch("status") == "published" }
+        .to_h { [_1.fetch("url"), _1] }
+
+      site.resources.each do |resource|
+        item = items[resource.relative_url.delete_prefix(base_path)]
+        next unless item
+
+        image_path = "/images/og/#{card_slug(item.fetch("url"))}.png"
+        next unless File.exist?(File.join(site.source, image_path))
+
+        resource.data.image = {
+          "path" => image_path,
+          "height" => 630,
+          "width" => 1200,
+          "alt" => "#{sections.fetch(item.fetch("section"))}: #{resource.data.title || item.fetch("label")}",
+        }
+      end
+    end
+  end
+
+  private
+
+  # Must match docSlug() in scripts/generate-og-images.js.
+  def card_slug(url)
+    "docs/#{url.delete_prefix("/").delete_suffix("/").tr("/", "-")}"
+  end
+end
+
+DocumentationOgImages.register
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Checks the links of the built site in output/ without touching the
+// network. Every href, src and meta-refresh URL in the generated HTML that
+// stays on the site must resolve to a file in output/ under /dspy.rb, and a
+// #fragment must name an id (or name) on the target page. Contextual `exits`
+// in documentation_navigation.yml must resolve the same way, and each
+// published docs page must share its own OG card (og:image), not the
+// site default.
+//
+// Problems are reported as `file:line: href="…": message`, pointing at the
+// Markdown source when the href can be found there and at the generated
+// HTML otherwise. Broken internal links and pages without their own card
+// fail the run, each counted on its own; external links can't be checked
+// offline, so only those that look wrong (malformed, plain http://) are
+// reported, as warnings.
+//
+//   node scripts/check-links.js [--output path]
+
+const DOCS_DIR = path.join(__dirname, '..');
+const SRC_DIR = path.join(DOCS_DIR, 'src');
+const NAVIGATION_FILE = path.join(SRC_DIR, '_data/documentation_navigation.yml');
+const SITE_ORIGIN = 'https://oss.vicente.services';
+const BASE_PATH = '/dspy.rb';
+
+const TAG = /<(a|area|img|link|script|source|iframe|meta)\b([^>]*)>/gi;
+const ATTRIBUTE = /\b([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+const ID = /\b(?:id|name)\s*=\s*(?:"([^"]+)"|'([^']+)')/gi;
+// Inline scripts and comments hold markup-like strings that aren't links.
+const IGNORED = /<script\b[^>]*>[\s\S]*?<\/script>|<!--[\s\S]*?-->/gi;
+
+// Function to decode the HTML entities that appear in attribute values
+function unescapeHTML(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Function to walk a directory for files
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(fullPath) : [fullPath];
+  });
+}
+
+// Function to find the offset each line starts at, for lineAt()
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+function lineAt(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (starts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low + 1;
+}
+
+// Same length, same line breaks: offsets and line numbers stay valid.
+function blankIgnored(html) {
+  return html.replace(IGNORED, match => {
+    const opening = match.match(/^<script\b[^>]*>/i);
+    if (opening && /\bsrc\s*=/i.test(opening[0])) return match;
+    return match.replace(/[^\n]/g, ' ');
+  });
+}
+
+// Function to collect the fragment targets of a page: its ids and names
+function pageIds(html) {
+  return new Set(Array.from(html.matchAll(ID), match => unescapeHTML(match[1] ?? match[2])));
+}
+
+// Function to index the site from [relative path, file, html] entries (html
+// is null for anything but pages): every public path, and the ids of each
+// page.
+function indexSite(entries) {
+  const files = new Map();
+  const pages = new Map();
+  entries.forEach(([relative, file, html]) => {
+    files.set(`${BASE_PATH}/${relative}`, file);
+    if (html === null) return;
+
+    const route = relative === 'index.html'
+      ? `${BASE_PATH}/`
+      : `${BASE_PATH}/${relative.replace(/(^|\/)index\.html$/, '$1')}`;
+    pages.set(route, { file, html, ids: pageIds(html) });
+  });
+  return { files, pages };
+}
+
+// Function to index output/
+function indexOutput(outputDir) {
+  return indexSite(walk(outputDir).map(file => {
+    const relative = path.relative(outputDir, file).split(path.sep).join('/');
+    return [relative, file, relative.endsWith('.html') ? fs.readFileSync(file, 'utf-8') : null];
+  }));
+}
+
+// The page or file a public path serves, following the server's
+// directory-index and trailing-slash rules.
+function lookup(index, pathname) {
+  if (index.pages.has(pathname)) return index.pages.get(pathname);
+  if (index.files.has(pathname)) return { file: index.files.get(pathname) };
+  const directory = pathname.endsWith('/') ? pathname : `${pathname}/`;
+  if (index.pages.has(directory)) return index.pages.get(directory);
+  return null;
+}
+
+// Checks one URL found on `route`; returns { level, message } or null.
+function checkURL(index, href, route) {
+  const value = href.trim();
+  if (!value || /^(mailto|tel|javascript|data):/i.test(value)) return null;
+
+  let url;
+  try {
+    url = new URL(value, `${SITE_ORIGIN}${route}`);
+  } catch {
+    return { level: 'error', message: 'malformed URL' };
+  }
+  if (url.origin !== SITE_ORIGIN) {
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    if (!url.hostname.includes('.') && url.hostname !== 'localhost') {
+      return { level: 'warning', message: `external URL has no valid host: ${url.hostname}` };
+    }
+    if (url.protocol === 'http:' && url.hostname !== 'localhost') {
+      return { level: 'warning', message: 'external URL uses http://' };
+    }
+    return null;
+  }
+
+  let pathname;
+  let fragment;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+    fragment = decodeURIComponent(url.hash.slice(1));
+  } catch (error) {
+    return { level: 'error', message: `invalid percent encoding: ${error.message}` };
+  }
+  if (pathname !== BASE_PATH && !pathname.startsWith(`${BASE_PATH}/`)) {
+    return { level: 'error', message: `root-relative documentation link is missing ${BASE_PATH}` };
+  }
+  const target = lookup(index, pathname === BASE_PATH ? `${BASE_PATH}/` : pathname);
+  if (!target) return { level: 'error', message: `internal route or file does not exist: ${pathname}` };
+  if (fragment && target.ids && !target.ids.has(fragment)) {
+    return { level: 'error', message: `fragment does not exist: #${fragment}` };
+  }
+  return null;
+}
+
+// Function to collect the URLs a page links to, with their line numbers
+function pageReferences(html) {
+  const text = blankIgnored(html);
+  const starts = lineStarts(text);
+  const references = [];
+  for (const tag of text.matchAll(TAG)) {
+    const attributes = {};
+    for (const attribute of tag[2].matchAll(ATTRIBUTE)) {
+      attributes[attribute[1].toLowerCase()] = unescapeHTML(attribute[2] ?? attribute[3] ?? attribute[4]);
+    }
+    const line = lineAt(starts, tag.index);
+    const name = tag[1].toLowerCase();
+    if (name === 'meta') {
+      const refresh = /^\s*\d+\s*;\s*url=(.+)$/i.exec(attributes.content || '');
+      if ((attributes['http-equiv'] || '').toLowerCase() === 'refresh' && refresh) references.push({ line, href: refresh[1] });
+      continue;
+    }
+    if (name === 'link' && /\b(preconnect|dns-prefetch)\b/i.test(attributes.rel || '')) continue;
+    ['href', 'src'].forEach(key => {
+      if (attributes[key] !== undefined) references.push({ line, href: attributes[key] });
+    });
+  }
+  return references;
+}
+
+// Function to map a route to the source file it was generated from
+function sourceFiles(navigation, exists = fs.existsSync) {
+  const sources = new Map();
+  [...navigation.items, ...(navigation.resources || [])].forEach(item => {
+    if (item.source?.startsWith('docs/src/') && item.url.startsWith('/')) {
+      sources.set(`${BASE_PATH}${item.url}`, path.join(DOCS_DIR, item.source.replace(/^docs\//, '')));
+    }
+  });
+  return route => {
+    if (sources.has(route)) return sources.get(route);
+    const article = route.match(/^\/dspy\.rb\/blog\/articles\/([^/]+)\/$/);
+    const relative = route.slice(BASE_PATH.length).replace(/\/$/, '');
+    const candidates = article
+      ? [path.join(SRC_DIR, '_articles', `${article[1]}.md`)]
+      : ['index.md', 'index.html', 'index.liquid'].map(name => path.join(SRC_DIR, relative, name))
+        .concat(['.md', '.html', '.liquid'].map(extension => path.join(SRC_DIR, `${relative}${extension}`)));
+    return candidates.find(file => exists(file)) || null;
+  };
+}
+
+// Function to find the line of a source file that holds an href, as written
+// or without the base path the templates add; null when it isn't there
+function sourceLine(text, href) {
+  const written = href.startsWith(`${BASE_PATH}/`) ? href.slice(BASE_PATH.length) : href;
+  const found = text.split('\n').findIndex(line => line.includes(`(${href}`) || line.includes(`"${href}"`)
+    || (written.length > 2 && line.includes(written)));
+  return found === -1 ? null : found + 1;
+}
+
+// Where a problem is worth fixing: the source line that holds the href, or
+// else the generated file.
+function locate(sourceFor, route, href, file, line, read = source => fs.readFileSync(source, 'utf-8')) {
+  const source = sourceFor(route);
+  const found = source && sourceLine(read(source), href);
+  if (found) return `${path.relative(DOCS_DIR, source)}:${found}`;
+  return `${path.relative(DOCS_DIR, file)}:${line}`;
+}
+
+// Function to list the exits in the navigation manifest with their lines
+function navigationExits(text) {
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(text, { lineCounter });
+  const exits = [];
+  ['items', 'resources'].forEach(key => {
+    (document.get(key)?.items || []).forEach(entry => {
+      (entry.get('exits')?.items || []).forEach(exit => {
+        const url = exit.get('url', true);
+        if (!url) return;
+        exits.push({ href: String(url.value), line: lineCounter.linePos(url.range[0]).line });
+      });
+    });
+  });
+  return exits;
+}
+
+// Must match docSlug() in scripts/generate-og-images.js.
+function cardSlug(url) {
+  return `docs/${url.replace(/^\/|\/$/g, '').replace(/\//g, '-')}`;
+}
+
+// Function to check that every built, published docs page points og:image at
+// the card scripts/generate-og-images.js rendered for it
+function checkCards(index, navigation) {
+  return navigation.items.filter(item => item.status === 'published' && item.url.startsWith('/')).flatMap(item => {
+    const route = `${BASE_PATH}${item.url}`;
+    const page = index.pages.get(route);
+    if (!page) return [];
+
+    const expected = `${SITE_ORIGIN}${BASE_PATH}/images/og/${cardSlug(item.url)}.png`;
+    const text = blankIgnored(page.html);
+    const starts = lineStarts(text);
+    const meta = Array.from(text.matchAll(TAG)).find(tag => tag[1].toLowerCase() === 'meta' && /\bproperty\s*=\s*["']og:image["']/i.test(tag[2]));
+    const content = meta && /\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(meta[2]);
+    const found = content ? unescapeHTML(content[1] ?? content[2]) : null;
+    if (found === expected) return [];
+    return [{
+      route,
+      file: page.file,
+      line: meta ? lineAt(starts, meta.index) : 1,
+      href: found ?? '',
+      message: found ? `og:image is not the page's card ${expected}` : `og:image is missing; expected ${expected}`,
+    }];
+  });
+}
+
+// Function to check the exits in the navigation manifest against the site.
+// Exits are written without the base path, as in the rest of the manifest.
+function checkExits(index, navigationText) {
+  return navigationExits(navigationText).flatMap(({ href, line }) => {
+    const absolute = href.startsWith('/') ? `${BASE_PATH}${href}` : href;
+    const problem = checkURL(index, absolute, `${BASE_PATH}/`);
+    return problem ? [{ ...problem, href, line }] : [];
+  });
+}
+
+function checkLinks(outputDir = path.join(DOCS_DIR, 'output')) {
+  const errors = [];
+  const warnings = [];
+  const report = (problem, location, href) => {
+    if (problem) (problem.level === 'error' ? errors : warnings).push(`${location}: href=${JSON.stringify(href)}: ${problem.message}`);
+  };
+
+  if (!fs.existsSync(outputDir)) {
+    return { errors: [`${outputDir}: build output is missing; run bun run build first`], cards: [], warnings };
+  }
+  const index = indexOutput(outputDir);
+  const navigationText = fs.readFileSync(NAVIGATION_FILE, 'utf-8');
+  const navigation = YAML.parse(navigationText);
+  const sourceFor = sourceFiles(navigation);
+
+  index.pages.forEach(({ file, html }, route) => {
+    pageReferences(html).forEach(({ line, href }) => {
+      const problem = checkURL(index, href, route);
+      if (problem) report(problem, locate(sourceFor, route, href, file, line), href);
+    });
+  });
+
+  // Card mismatches aren't broken links, so they are kept apart for the summary.
+  const cards = checkCards(index, navigation)
+    .map(({ file, line, href, message }) => `${path.relative(DOCS_DIR, file)}:${line}: href=${JSON.stringify(href)}: ${message}`);
+
+  checkExits(index, navigationText).forEach(({ href, line, ...problem }) => {
+    report(problem, `${path.relative(DOCS_DIR, NAVIGATION_FILE)}:${line}`, href);
+  });
+
+  return { errors: Array.from(new Set(errors)), cards, warnings: Array.from(new Set(warnings)) };
+}
+
+if (require.main === module) {
+  const flag = process.argv.indexOf('--output');
+  const outputDir = flag === -1 ? undefined : path.resolve(process.argv[flag + 1]);
+  const { errors, cards, warnings } = checkLinks(outputDir);
+  warnings.forEach(warning => console.warn(`WARNING: ${warning}`));
+  errors.concat(cards).forEach(error => console.error(`ERROR: ${error}`));
+  if (errors.length > 0 || cards.length > 0) {
+    const counts = [];
+    if (errors.length > 0) counts.push(`${errors.length} broken internal link${errors.length === 1 ? '' : 's'}`);
+    if (cards.length > 0) counts.push(`${cards.length} docs page${cards.length === 1 ? '' : 's'} without ${cards.length === 1 ? 'its' : 'their'} own OG card`);
+    console.error(`${counts.join(' and ')}.`);
+    process.exit(1);
+  }
+  console.log(`Internal links valid under ${BASE_PATH}${warnings.length ? ` (${warnings.length} external warnings)` : ''}; external URLs were not fetched.`);
+}
+
+module.exports = {
+  checkLinks,
+  checkURL,
+  checkCards,
+  checkExits,
+  indexSite,
+  locate,
+  navigationExits,
+  pageIds,
+  pageReferences,
+  sourceFiles,
+  sourceLine,
+};
@@ -1,317 +1,421 @@
 const { chromium } = require('playwright');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
+const { WIDTH, HEIGHT } = require('./og-templates/base');
+const { templates } = require('./og-templates');
+const { fitText } = require('./og-templates/fit');
 
-// Function to extract frontmatter from markdown files
+// One OG image pipeline for the whole site. Every card is a job: a slug, a
+// template from scripts/og-templates/, and the data it renders. A job is
+// skipped when its PNG exists and the hash of its data and template source
+// matches the manifest from the previous run. Text is fitted in the page
+// before each screenshot (see og-templates/fit.js); a card that still
+// overflows is not written and fails the run with a report.
+//
+// Article cards are committed. The docs cards in images/og/docs/ and the
+// manifest are build outputs: git-ignored, and cached between CI runs by
+// the deploy and docs-quality workflows so unchanged cards stay skipped.
+//
+//   bun scripts/generate-og-images.js               # render stale cards
+//   bun scripts/generate-og-images.js --only <slug> # render one card
+//   bun scripts/generate-og-images.js --force       # ignore the manifest
+
+const OUTPUT_DIR = path.join(__dirname, '../src/images/og');
+const MANIFEST_FILE = path.join(OUTPUT_DIR, '.manifest.json');
+const REPO_ROOT = path.join(__dirname, '../..');
+const NAVIGATION_FILE = path.join(__dirname, '../src/_data/documentation_navigation.yml');
+const AUTHORS_FILE = path.join(__dirname, '../src/_data/authors.yml');
+const SRC_DIR = path.join(__dirname, '../src');
+const AVATAR_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+const DEFAULT_AUTHOR = 'Vicente Reig'; // byline for articles without `author`
+const SITE_TAGLINE = 'The Ruby Framework for Self-Improving Language Model Programs';
+
+// Function to extract frontmatter from markdown files. Throws on malformed
+// YAML so a broken header fails the build instead of producing a blank card.
 function extractFrontmatter(content) {
   const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---/;
   const match = content.match(frontmatterRegex);
-  
+
   if (!match) return null;
-  
-  const frontmatter = {};
-  const lines = match[1].split('\n');
-  
-  lines.forEach(line => {
-    const colonIndex = line.indexOf(':');
-    if (colonIndex > 0) {
-      const key = line.substring(0, colonIndex).trim();
-      let value = line.substring(colonIndex + 1).trim();
-      
-      // Remove quotes if present
-      if ((value.startsWith('"') && value.endsWith('"')) || 
-          (value.startsWith("'") && value.endsWith("'"))) {
-        value = value.slice(1, -1);
-      }
-      
-      frontmatter[key] = value;
-    }
-  });
-  
-  return frontmatter;
+
+  const frontmatter = YAML.parse(match[1]);
+  return frontmatter && typeof frontmatter === 'object' ? frontmatter : {};
+}
+
+// Function to parse a frontmatter date. Bridgetown writes `2025-06-28` and
+// `2025-06-28 00:00:00 +0000`; both are read as UTC. Returns null when the
+// value is missing or unparseable, including impossible days such as
+// 2025-02-30, which Date would roll over into March.
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (value === undefined || value === null || value === '') return null;
+
+  const match = String(value).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?)(?:\s*(Z|[+-]\d{2}:?\d{2}))?)?$/);
+  if (!match) return null;
+
+  const [, day, time = '00:00:00', zone = 'Z'] = match;
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, dayOfMonth));
+  if (calendar.getUTCFullYear() !== year || calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== dayOfMonth) {
+    return null;
+  }
+
+  const offset = zone === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+  const date = new Date(`${day}T${time}${offset}`);
+  return isNaN(date) ? null : date;
 }
 
 // Function to format date
-function formatDate(dateStr) {
-  const date = new Date(dateStr);
+function formatDate(date) {
   const months = ['January', 'February', 'March', 'April', 'May', 'June', 
                   'July', 'August', 'September', 'October', 'November', 'December'];
-  return `${months[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+  return `${months[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
 }
 
 // Function to get category from frontmatter
 function getCategory(frontmatter) {
   // Try different possible fields for category
-  if (frontmatter.category) return frontmatter.category;
+  if (frontmatter.category) return String(frontmatter.category);
   if (frontmatter.categories) {
-    // Handle array format like: [patterns, agents]
-    const categories = frontmatter.categories.replace(/[\[\]]/g, '').split(',')[0].trim();
-    return categories.charAt(0).toUpperCase() + categories.slice(1);
+    // Accepts a YAML list or a comma-separated string
+    const categories = Array.isArray(frontmatter.categories)
+      ? frontmatter.categories
+      : String(frontmatter.categories).split(',');
+    const category = String(categories[0] || '').trim();
+    if (category) return category.charAt(0).toUpperCase() + category.slice(1);
   }
   return 'Article';
 }
 
-// Function to get articles from source files
+// Author names compare without case, accents or extra spaces, so
+// "Rincon" and "Rincón" are the same person.
+function normalizeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// Function to load authors.yml into a lookup keyed by every name variant
+function loadAuthors() {
+  const records = YAML.parse(fs.readFileSync(AUTHORS_FILE, 'utf-8')) || {};
+  const authors = new Map();
+
+  for (const [key, record] of Object.entries(records)) {
+    const author = {
+      name: record.name || key,
+      avatar: record.avatar || null,
+      accent: record.accent || null,
+      guest: Boolean(record.guest),
+    };
+    [key, author.name, ...(record.aliases || [])].forEach(variant => {
+      authors.set(normalizeName(variant), author);
+    });
+  }
+
+  return authors;
+}
+
+function initials(name) {
+  const words = name.split(/\s+/).filter(Boolean);
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('');
+}
+
+// Function to inline an avatar as a data URI; the card is rendered with
+// setContent(), so it has no base URL to load files from.
+function avatarDataURI(avatar) {
+  const file = path.join(SRC_DIR, avatar);
+  const type = AVATAR_TYPES[path.extname(file).toLowerCase()];
+  if (!type) throw new Error(`unsupported avatar type ${avatar}`);
+  if (!fs.existsSync(file)) throw new Error(`avatar ${avatar} does not exist`);
+  return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+// Function to resolve a frontmatter byline to the card's author block.
+// Names missing from authors.yml are treated as guests rather than being
+// credited to the maintainer.
+function resolveAuthor(name, authors, relativePath) {
+  const record = authors.get(normalizeName(name));
+  if (!record) {
+    console.warn(`${relativePath}: "${name}" is not in src/_data/authors.yml; rendering as a guest author.`);
+  }
+  const author = record || { name: String(name).trim(), avatar: null, accent: null, guest: true };
+
+  return {
+    name: author.name,
+    initials: initials(author.name),
+    avatar: author.avatar ? avatarDataURI(author.avatar) : null,
+    accent: author.accent,
+    guest: author.guest,
+  };
+}
+
+// Function to list what an article card is missing
+function validateArticle(frontmatter) {
+  const problems = [];
+  if (typeof frontmatter.title !== 'string' || !frontmatter.title.trim()) {
+    problems.push('missing `title`');
+  }
+  if (typeof frontmatter.description !== 'string' || !frontmatter.description.trim()) {
+    problems.push('missing `description`');
+  }
+  if (frontmatter.date === undefined || frontmatter.date === null || frontmatter.date === '') {
+    problems.push('missing `date`');
+  } else if (!parseDate(frontmatter.date)) {
+    problems.push(`unparseable \`date\` (${JSON.stringify(frontmatter.date)})`);
+  }
+  return problems;
+}
+
+// Function to get articles from source files. Collects every invalid article
+// before failing so one run reports them all.
 async function getArticles() {
   const articlesDir = path.join(__dirname, '../src/_articles');
   const articles = [];
-  
-  try {
-    const files = fs.readdirSync(articlesDir).filter(file => file.endsWith('.md'));
-    
-    for (const file of files) {
-      const filePath = path.join(articlesDir, file);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const frontmatter = extractFrontmatter(content);
-      
-      if (frontmatter) {
-        const slug = file.replace('.md', '');
-        const rawDate = frontmatter.date || new Date().toISOString();
-        articles.push({
-          slug,
-          title: frontmatter.title || frontmatter.name || 'Untitled',
-          description: frontmatter.description || '',
-          category: getCategory(frontmatter),
-          author: frontmatter.author || 'Vicente Reig',
-          date: formatDate(rawDate),
-          rawDate: rawDate // Keep raw date for sorting
-        });
-      }
-    }
-    
-    // Sort by date (newest first)
-    articles.sort((a, b) => new Date(b.rawDate) - new Date(a.rawDate));
-    
-  } catch (error) {
-    console.error('Error reading articles:', error);
-  }
-  
-  return articles;
-}
+  const invalid = [];
+  const authors = loadAuthors();
 
-function generateHTML(article) {
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    
-    body {
-      width: 1200px;
-      height: 630px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-      background: linear-gradient(135deg, #dc2626 0%, #7f1d1d 100%);
-      color: white;
-      position: relative;
-      overflow: hidden;
-    }
-    
-    .container {
-      padding: 80px;
-      height: 100%;
-      display: flex;
-      flex-direction: column;
-      justify-content: space-between;
-      position: relative;
-      z-index: 10;
-    }
-    
-    .decorative-bg {
-      position: absolute;
-      top: -50%;
-      right: -30%;
-      width: 100%;
-      height: 200%;
-      background: radial-gradient(circle, rgba(255,255,255,0.1) 0%, transparent 70%);
-      transform: rotate(-30deg);
-    }
-    
-    .header {
-      display: flex;
-      align-items: center;
-      gap: 20px;
-      margin-bottom: 40px;
-    }
-    
-    .category-badge {
-      background: rgba(255, 255, 255, 0.2);
-      padding: 8px 20px;
-      border-radius: 24px;
-      font-size: 18px;
-      font-weight: 600;
-      backdrop-filter: blur(10px);
-      border: 1px solid rgba(255, 255, 255, 0.3);
-    }
-    
-    .content {
-      flex: 1;
-      display: flex;
-      flex-direction: column;
-      justify-content: center;
-    }
-    
-    .title {
-      font-size: 72px;
-      font-weight: 800;
-      line-height: 1.1;
-      margin-bottom: 24px;
-      text-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
-    }
-    
-    .description {
-      font-size: 28px;
-      line-height: 1.4;
-      opacity: 0.9;
-      font-weight: 300;
-      max-width: 900px;
-    }
-    
-    .footer {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-    }
-    
-    .author-info {
-      display: flex;
-      align-items: center;
-      gap: 16px;
+  const files = fs.readdirSync(articlesDir).filter(file => file.endsWith('.md'));
+
+  for (const file of files) {
+    const relativePath = path.relative(path.join(__dirname, '..'), path.join(articlesDir, file));
+    let frontmatter;
+    try {
+      frontmatter = extractFrontmatter(fs.readFileSync(path.join(articlesDir, file), 'utf-8'));
+    } catch (error) {
+      invalid.push(`${relativePath}: invalid YAML frontmatter (${error.message.split('\n')[0]})`);
+      continue;
     }
-    
-    .author-avatar {
-      width: 56px;
-      height: 56px;
-      border-radius: 50%;
-      background: white;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-size: 24px;
-      font-weight: 700;
-      color: #dc2626;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+
+    if (!frontmatter) {
+      invalid.push(`${relativePath}: no frontmatter`);
+      continue;
     }
-    
-    .author-details {
-      display: flex;
-      flex-direction: column;
+
+    const problems = validateArticle(frontmatter);
+    if (problems.length > 0) {
+      invalid.push(`${relativePath}: ${problems.join(', ')}`);
+      continue;
     }
-    
-    .author-name {
-      font-size: 20px;
-      font-weight: 600;
+
+    let author;
+    try {
+      author = resolveAuthor(frontmatter.author || DEFAULT_AUTHOR, authors, relativePath);
+    } catch (error) {
+      invalid.push(`${relativePath}: ${error.message}`);
+      continue;
     }
-    
-    .publish-date {
-      font-size: 16px;
-      opacity: 0.8;
+
+    const date = parseDate(frontmatter.date);
+    articles.push({
+      slug: file.replace('.md', ''),
+      frontmatter,
+      card: {
+        title: frontmatter.title,
+        description: frontmatter.description,
+        category: getCategory(frontmatter),
+        author,
+        date: formatDate(date)
+      },
+      date // Keep parsed date for sorting
+    });
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid article frontmatter:\n${invalid.map(line => `  - ${line}`).join('\n')}`);
+  }
+
+  // Sort by date (newest first)
+  articles.sort((a, b) => b.date - a.date);
+
+  return articles;
+}
+
+// Card slug for a docs URL: /core-concepts/signatures/ → docs/core-concepts-signatures.
+// plugins/documentation_og_images.rb derives the same path for the page.
+function docSlug(url) {
+  return `docs/${url.replace(/^\/|\/$/g, '').replace(/\//g, '-')}`;
+}
+
+// Function to get published documentation pages from the navigation data
+function getDocPages() {
+  const navigation = YAML.parse(fs.readFileSync(NAVIGATION_FILE, 'utf-8'));
+  const sections = new Map(navigation.sections.map(section => [section.id, section]));
+  const traversals = new Map(navigation.traversals.map(traversal => [traversal.id, traversal.label]));
+  const published = navigation.items.filter(item => item.status === 'published');
+  const pages = [];
+
+  for (const item of published) {
+    const sourcePath = path.join(REPO_ROOT, item.source);
+    if (!fs.existsSync(sourcePath)) {
+      console.warn(`Skipping ${item.url}: ${item.source} does not exist.`);
+      continue;
     }
-    
-    .branding {
-      font-size: 24px;
-      font-weight: 700;
-      display: flex;
-      align-items: center;
-      gap: 12px;
+
+    let frontmatter;
+    try {
+      frontmatter = extractFrontmatter(fs.readFileSync(sourcePath, 'utf-8')) || {};
+    } catch (error) {
+      throw new Error(`${item.source}: invalid YAML frontmatter (${error.message.split('\n')[0]})`);
     }
-    
-    .ruby-icon {
-      width: 32px;
-      height: 32px;
-      background: white;
-      border-radius: 8px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-size: 20px;
-      color: #dc2626;
+    const section = sections.get(item.section);
+    const isLanding = section && section.url === item.url;
+    const card = {
+      section: section ? section.label : 'Documentation',
+      title: frontmatter.title || item.label,
+      description: frontmatter.description || '',
+      traversal: traversals.get(item.traversal) || '',
+    };
+    if (isLanding) {
+      card.pages = published
+        .filter(other => other.section === item.section && other.url !== item.url)
+        .map(other => other.label);
     }
-  </style>
-</head>
-<body>
-  <div class="decorative-bg"></div>
-  <div class="container">
-    <div class="header">
-      <div class="category-badge">${article.category}</div>
-    </div>
-    
-    <div class="content">
-      <h1 class="title">${article.title}</h1>
-      <p class="description">${article.description}</p>
-    </div>
-    
-    <div class="footer">
-      <div class="author-info">
-        <div class="author-avatar">${article.author[0]}</div>
-        <div class="author-details">
-          <div class="author-name">${article.author}</div>
-          <div class="publish-date">${article.date}</div>
-        </div>
-      </div>
-      <div class="branding">
-        <div class="ruby-icon">💎</div>
-        <span>DSPy.rb</span>
-      </div>
-    </div>
-  </div>
-</body>
-</html>`;
+
+    pages.push({
+      slug: docSlug(item.url),
+      template: isLanding ? 'section' : 'doc',
+      data: card,
+    });
+  }
+
+  return pages;
 }
 
-async function generateOgImages() {
-  // Get articles dynamically from source files
+// Function to list every card the site needs
+async function getJobs() {
   const articles = await getArticles();
-  
-  if (articles.length === 0) {
-    console.log('No articles found to generate OG images for.');
-    return;
+  return [
+    { slug: 'default', template: 'default', data: { title: 'DSPy.rb', tagline: SITE_TAGLINE } },
+    ...articles.map(article => ({
+      slug: article.slug,
+      template: 'article',
+      data: article.card,
+      source: { frontmatter: article.frontmatter, author: article.card.author },
+    })),
+    ...getDocPages(),
+  ];
+}
+
+function jobHash(job) {
+  return crypto
+    .createHash('sha256')
+    .update(templates[job.template].source)
+    .update(JSON.stringify(job.source || job.data))
+    .digest('hex');
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf-8'));
+  } catch (error) {
+    return {};
   }
-  
-  console.log(`Found ${articles.length} articles to process.`);
-  
-  // Ensure output directory exists - generate into src so Bridgetown copies them
-  const outputDir = path.join(__dirname, '../src/images/og');
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+}
+
+function parseArgs(argv) {
+  const onlyIndex = argv.indexOf('--only');
+  return {
+    only: onlyIndex === -1 ? null : argv[onlyIndex + 1],
+    force: argv.includes('--force'),
+  };
+}
+
+function overflowReport(overflowing) {
+  const lines = overflowing.flatMap(({ job, overflows }) => [
+    `  ${job.slug} (${job.template} template):`,
+    ...overflows.map(detail => (detail.spill
+      ? `    - ${detail.element} runs ${detail.spill}px past the card`
+      : `    - ${detail.element} needs ${detail.lines} lines at ${detail.size}px (limit ${detail.maxLines}): "${detail.text}"`)),
+  ]);
+  return [
+    `${overflowing.length} OG card(s) overflow and were not written:`,
+    ...lines,
+    'Shorten the text in frontmatter or the navigation label, then rerun with --only <slug>.',
+  ].join('\n');
+}
+
+async function generateOgImages() {
+  const { only, force } = parseArgs(process.argv.slice(2));
+  let jobs = await getJobs();
+
+  if (only) {
+    jobs = jobs.filter(job => job.slug === only);
+    if (jobs.length === 0) {
+      console.error(`No OG card with slug "${only}".`);
+      process.exit(1);
+    }
   }
 
-  // Launch browser
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const manifest = readManifest();
+  const stale = jobs.filter(job => {
+    job.hash = jobHash(job);
+    job.output = path.join(OUTPUT_DIR, `${job.slug}.png`);
+    return force || only || manifest[job.slug] !== job.hash || !fs.existsSync(job.output);
+  });
+
+  console.log(`${jobs.length} OG cards, ${stale.length} to render, ${jobs.length - stale.length} unchanged.`);
+  if (stale.length === 0) return;
+
+  const overflowing = [];
   const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
-  
-  // Set viewport to OG image dimensions
-  await page.setViewportSize({ width: 1200, height: 630 });
-
-  for (const article of articles) {
-    console.log(`Generating OG image for: ${article.slug}`);
-    console.log(`  Title: ${article.title}`);
-    console.log(`  Category: ${article.category}`);
-    console.log(`  Date: ${article.date}`);
-    
-    // Generate HTML
-    const html = generateHTML(article);
-    
-    // Navigate to HTML
-    await page.setContent(html);
-    
-    // Wait for any animations/fonts
-    await page.waitForTimeout(100);
-    
-    // Take screenshot
-    await page.screenshot({
-      path: path.join(outputDir, `${article.slug}.png`),
-      type: 'png'
-    });
+  try {
+    const page = await browser.newPage();
+    await page.setViewportSize({ width: WIDTH, height: HEIGHT });
+
+    for (const job of stale) {
+      console.log(`Generating OG image for: ${job.slug} (${job.template})`);
+      fs.mkdirSync(path.dirname(job.output), { recursive: true });
+      await page.setContent(templates[job.template].render(job.data));
+      // Fonts are inlined, but text must not be measured or captured until
+      // they have been decoded.
+      await page.evaluate(() => document.fonts.ready);
+
+      const { overflows, clamped } = await page.evaluate(fitText);
+      clamped.forEach(detail => {
+        console.warn(`  Clamped ${detail.element} to ${detail.maxLines} lines: "${detail.text}"`);
+      });
+      if (overflows.length > 0) {
+        overflowing.push({ job, overflows });
+        continue;
+      }
+
+      await page.screenshot({ path: job.output, type: 'png' });
+      manifest[job.slug] = job.hash;
+      fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  if (overflowing.length > 0) {
+    throw new Error(overflowReport(overflowing));
   }
 
-  await browser.close();
   console.log('OG image generation complete!');
 }
 
-// Run the script
-generateOgImages().catch(console.error);
\ No newline at end of file
+if (require.main === module) {
+  generateOgImages().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getJobs,
+  jobHash,
+  docSlug,
+  extractFrontmatter,
+  getCategory,
+  loadAuthors,
+  normalizeName,
+  parseDate,
+  resolveAuthor,
+  validateArticle,
+};
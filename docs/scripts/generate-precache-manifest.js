@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+
+// Builds the precache manifest that esbuild.config.js compiles into the
+// service worker (frontend/javascript/service-worker.js):
+//   { version, shell: [url], docs: [url] }
+// `shell` is the app shell precached on install: the JavaScript and CSS
+// bundles and the self-hosted fonts. `docs` is every published page in the
+// navigation manifest, the set the service worker serves stale-while-
+// revalidate and saves on "Download all docs". `version` hashes the shell's
+// contents and the page list, so a deploy that changes either installs a new
+// worker and replaces the shell cache.
+
+const DOCS_DIR = path.join(__dirname, '..');
+const SRC_DIR = path.join(DOCS_DIR, 'src');
+const OUTPUT_DIR = path.join(DOCS_DIR, 'output');
+const NAVIGATION_FILE = path.join(SRC_DIR, '_data/documentation_navigation.yml');
+const FONTS_DIR = path.join(SRC_DIR, 'fonts');
+
+// Bundles are built into output/ before the service worker; a missing file
+// (a first watch build) only leaves it out of the version hash.
+const BUNDLES = [
+  { url: '/_bridgetown/static/js/index.js', file: path.join(OUTPUT_DIR, '_bridgetown/static/js/index.js') },
+  { url: '/_bridgetown/static/css/index.css', file: path.join(OUTPUT_DIR, '_bridgetown/static/css/index.css') },
+];
+
+// Function to list the self-hosted fonts with their source files
+function fonts() {
+  return fs.readdirSync(FONTS_DIR)
+    .filter(name => name.endsWith('.woff2'))
+    .sort()
+    .map(name => ({ url: `/fonts/${name}`, file: path.join(FONTS_DIR, name) }));
+}
+
+// Function to collect the published documentation URLs, in navigation order
+function publishedDocs(navigation) {
+  const urls = navigation.items.filter(item => item.status === 'published').map(item => item.url);
+  return Array.from(new Set(urls));
+}
+
+function precacheManifest() {
+  const navigation = YAML.parse(fs.readFileSync(NAVIGATION_FILE, 'utf-8'));
+  const basePath = navigation.base_path.replace(/\/$/, '');
+  const shell = [...BUNDLES, ...fonts()];
+  const docs = publishedDocs(navigation);
+
+  const hash = crypto.createHash('sha256');
+  shell.forEach(({ url, file }) => {
+    hash.update(url).update('\0');
+    if (fs.existsSync(file)) hash.update(fs.readFileSync(file));
+  });
+  docs.forEach(url => hash.update(url).update('\0'));
+
+  return {
+    version: hash.digest('hex').slice(0, 12),
+    shell: shell.map(({ url }) => `${basePath}${url}`),
+    docs: docs.map(url => `${basePath}${url}`),
+  };
+}
+
+if (require.main === module) {
+  console.log(JSON.stringify(precacheManifest(), null, 2));
+}
+
+module.exports = { precacheManifest };
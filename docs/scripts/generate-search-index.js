@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Builds the sharded search index consumed by frontend/javascript/search-palette.js.
+//
+// manifest.json holds everything needed to rank on titles, headings and code
+// identifiers, so the palette can answer before any body text arrives:
+//   { v, shards: [file], docs: [{ u, t, s, e, h: [[anchor, text]], c: [identifier], p }] }
+// where `p` is the shard holding the document's body. Each shard-N.json maps a
+// document's position in `docs` to its section texts, aligned with `h`
+// (index 0 is the text before the first heading):
+//   { "<doc index>": [intro, section1, section2, ...] }
+
+const SRC_DIR = path.join(__dirname, '../src');
+const OUTPUT_DIR = path.join(__dirname, '../output/_bridgetown/static/search');
+const NAVIGATION_FILE = path.join(SRC_DIR, '_data/documentation_navigation.yml');
+const SHARD_BYTES = 96 * 1024;
+const EXCERPT_LENGTH = 180;
+const MAX_IDENTIFIERS = 60;
+
+// Ruby constant paths (DSPy::ReAct, T::Array) and snake_case keywords such as
+// max_iterations — the things engineers paste into search.
+const CONSTANT_PATH = /\b[A-Z][A-Za-z0-9_]*(?:::[A-Z][A-Za-z0-9_]*)+\b/g;
+const CLASS_NAME = /\b(?:class|module)\s+([A-Z][A-Za-z0-9_:]*)/g;
+const INLINE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_:.#?!]*$/;
+
+// Function to split a markdown file into frontmatter and body
+function splitFrontmatter(content) {
+  const match = content.match(/^---\s*\n([\s\S]*?)\n---\s*\n?/);
+  if (!match) return { frontmatter: {}, body: content };
+  return { frontmatter: YAML.parse(match[1]) || {}, body: content.slice(match[0].length) };
+}
+
+// Function to walk a directory for markdown files
+function walkMarkdown(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walkMarkdown(fullPath);
+    return entry.name.endsWith('.md') ? [fullPath] : [];
+  });
+}
+
+// Kramdown's GFM parser id: lowercase, drop non-word characters, spaces to
+// hyphens, and suffix repeats with -1, -2, ...
+function headingId(text, seen) {
+  const base = text.toLowerCase().replace(/[^\p{L}\p{N}_\- \t]/gu, '').replace(/[ \t]/g, '-');
+  const count = seen.get(base) || 0;
+  seen.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count}`;
+}
+
+// Function to reduce inline markdown to the text a reader sees
+function plainText(markdown) {
+  return markdown
+    .replace(/\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|\*)(?=\S)([^*]+?)\1/g, '$2')
+    .replace(/(^|\W)(__|_)(?=\S)([^_]+?)\2(?!\w)/g, '$1$3')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Function to parse a markdown body into headings, per-section text and code identifiers
+function parseBody(body) {
+  const headings = [];
+  const sections = [[]];
+  const identifiers = new Set();
+  const seen = new Map();
+  let fence = null;
+
+  body.split('\n').forEach(line => {
+    const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (line.trim().startsWith(fence)) fence = null;
+      return;
+    }
+
+    if (fence) {
+      (line.match(CONSTANT_PATH) || []).forEach(id => identifiers.add(id));
+      for (const [, name] of line.matchAll(CLASS_NAME)) identifiers.add(name);
+      sections[sections.length - 1].push(line);
+      return;
+    }
+
+    for (const [, code] of line.matchAll(/`([^`]+)`/g)) {
+      if (INLINE_IDENTIFIER.test(code)) identifiers.add(code);
+    }
+    (line.match(CONSTANT_PATH) || []).forEach(id => identifiers.add(id));
+
+    // Every heading level advances kramdown's id counter; only h2/h3 become sections.
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const explicit = heading[2].match(/\{:?\s*#([\w-]+)\s*\}\s*$/);
+      const text = plainText(heading[2].replace(/\{:?[^}]*\}\s*$/, ''));
+      const id = explicit ? explicit[1] : headingId(text, seen);
+      if (heading[1].length === 1) return; // the page title, not a section
+      if (heading[1].length > 3) {
+        sections[sections.length - 1].push(text);
+        return;
+      }
+      headings.push([id, text]);
+      sections.push([]);
+      return;
+    }
+
+    sections[sections.length - 1].push(line);
+  });
+
+  return {
+    headings,
+    sections: sections.map(lines => plainText(lines.join('\n'))),
+    identifiers: Array.from(identifiers).slice(0, MAX_IDENTIFIERS),
+    title: (body.match(/^#\s+(.+)$/m) || [])[1],
+  };
+}
+
+function excerpt(frontmatter, sections) {
+  const text = frontmatter.description || sections.find(Boolean) || '';
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…` : text;
+}
+
+// Function to index the navigation manifest for documentFor()
+function navigationIndex(navigation) {
+  return {
+    basePath: navigation.base_path.replace(/\/$/, ''),
+    sections: new Map(navigation.sections.map(section => [section.id, section.label])),
+    itemsBySource: new Map(navigation.items.map(item => [item.source.replace(/^docs\/src\//, ''), item])),
+  };
+}
+
+// Function to build the search document for a markdown file under src/, or
+// null when it isn't searchable
+function documentFor(relative, content, { basePath, sections, itemsBySource }) {
+  const { frontmatter, body } = splitFrontmatter(content);
+  if (frontmatter.published === false) return null;
+
+  let url;
+  let section;
+  let label;
+  if (relative.startsWith('_articles/')) {
+    url = `/blog/articles/${path.basename(relative, '.md')}/`;
+    section = 'Blog';
+  } else {
+    // Documentation pages are searchable only when the manifest publishes
+    // them, so unpublished drafts and planned pages stay out of results.
+    const item = itemsBySource.get(relative);
+    if (!item || item.status !== 'published') return null;
+    url = item.url;
+    section = sections.get(item.section);
+    label = item.label;
+  }
+
+  const parsed = parseBody(body);
+  return {
+    url: `${basePath}${url}`,
+    title: frontmatter.title || frontmatter.name || (parsed.title && plainText(parsed.title)) || label || url,
+    section,
+    excerpt: excerpt(frontmatter, parsed.sections),
+    headings: parsed.headings,
+    identifiers: parsed.identifiers,
+    sections: parsed.sections,
+  };
+}
+
+// Function to collect indexable documents: published navigation items and articles
+function getDocuments() {
+  const navigation = navigationIndex(YAML.parse(fs.readFileSync(NAVIGATION_FILE, 'utf-8')));
+
+  return walkMarkdown(SRC_DIR)
+    .map(filePath => {
+      const relative = path.relative(SRC_DIR, filePath).split(path.sep).join('/');
+      return documentFor(relative, fs.readFileSync(filePath, 'utf-8'), navigation);
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+// Function to pack document bodies into shards of roughly SHARD_BYTES each
+function shard(documents) {
+  const shards = [];
+  let current = {};
+  let size = 0;
+
+  documents.forEach((doc, i) => {
+    const bytes = Buffer.byteLength(JSON.stringify(doc.sections));
+    if (size > 0 && size + bytes > SHARD_BYTES) {
+      shards.push(current);
+      current = {};
+      size = 0;
+    }
+    current[i] = doc.sections;
+    doc.shard = shards.length;
+    size += bytes;
+  });
+  if (size > 0) shards.push(current);
+
+  return shards;
+}
+
+function generateSearchIndex() {
+  const documents = getDocuments();
+  const shards = shard(documents);
+
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const shardFiles = shards.map((contents, i) => {
+    const file = `shard-${i}.json`;
+    fs.writeFileSync(path.join(OUTPUT_DIR, file), JSON.stringify(contents));
+    return file;
+  });
+
+  const manifest = {
+    v: 2,
+    shards: shardFiles,
+    docs: documents.map(doc => ({
+      u: doc.url,
+      t: doc.title,
+      s: doc.section,
+      e: doc.excerpt,
+      h: doc.headings,
+      c: doc.identifiers,
+      p: doc.shard,
+    })),
+  };
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'manifest.json'), JSON.stringify(manifest));
+
+  console.log(`Indexed ${documents.length} documents into ${shardFiles.length} shards.`);
+}
+
+if (require.main === module) {
+  generateSearchIndex();
+}
+
+module.exports = { getDocuments, documentFor, navigationIndex, parseBody, headingId, plainText, generateSearchIndex };
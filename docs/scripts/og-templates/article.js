@@ -0,0 +1,87 @@
+// Blog article card: category badge, title, description, author and date.
+// card.author comes from authors.yml; an author accent replaces the token one.
+const { BRANDING, escapeHTML, layout } = require('./base');
+
+const CSS = `
+    .author-info {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+    }
+
+    .author-avatar {
+      width: 56px;
+      height: 56px;
+      border-radius: 50%;
+      background: var(--color-paper-2);
+      border: 1px solid var(--color-rule);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 24px;
+      font-weight: 700;
+      color: var(--color-accent-hover);
+      overflow: hidden;
+    }
+
+    .author-avatar img {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+
+    .author-details {
+      display: flex;
+      flex-direction: column;
+    }
+
+    .author-name {
+      font-size: 20px;
+      font-weight: 600;
+    }
+
+    .publish-date {
+      font-size: 16px;
+      color: var(--color-ink-3);
+    }
+`;
+
+function avatar(author) {
+  if (author.avatar) return `<img src="${author.avatar}" alt="">`;
+  return escapeHTML(author.initials);
+}
+
+function render(card) {
+  const { author } = card;
+  return layout({
+    css: author.accent
+      ? `${CSS}
+    :root {
+      --color-accent: ${escapeHTML(author.accent)};
+      --color-accent-hover: color-mix(in oklab, ${escapeHTML(author.accent)} 85%, black);
+    }
+`
+      : CSS,
+    body: `<div class="container" data-fit-bounds>
+    <div class="badge">${escapeHTML(card.category)}</div>
+
+    <div class="content">
+      <h1 class="title" data-fit-max="72" data-fit-min="44" data-fit-lines="3">${escapeHTML(card.title)}</h1>
+      <p class="description" data-fit-max="28" data-fit-min="22" data-fit-lines="3" data-fit-clamp>${escapeHTML(card.description)}</p>
+    </div>
+
+    <div class="footer">
+      <div class="author-info">
+        <div class="author-avatar">${avatar(author)}</div>
+        <div class="author-details">
+          <div class="author-name">${escapeHTML(author.name)}</div>
+          <div class="publish-date">${author.guest ? 'Guest author · ' : ''}${escapeHTML(card.date)}</div>
+        </div>
+      </div>
+      ${BRANDING}
+    </div>
+  </div>`,
+  });
+}
+
+module.exports = { render };
@@ -0,0 +1,181 @@
+// Shared 1200×630 card shell for every OG template. Templates supply the body
+// markup and any extra CSS; the frame, palette, fonts and branding live here.
+// Colours and type come from the site's tokens.css and the self-hosted fonts
+// in src/fonts, so cards match the pages they link to.
+// Card text comes from frontmatter, so templates pass every value through
+// escapeHTML(); titles like `T::Array[String] & friends` must stay literal.
+const fs = require('fs');
+const path = require('path');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const DOCS_DIR = path.join(__dirname, '../..');
+const TOKENS_FILE = path.join(DOCS_DIR, 'tokens.css');
+const FONTS = [
+  { family: 'Manrope', style: 'normal', weight: '400 800', file: 'manrope-variable.woff2' },
+  { family: 'Newsreader', style: 'normal', weight: '400 700', file: 'newsreader-variable.woff2' },
+  { family: 'Newsreader', style: 'italic', weight: '700', file: 'newsreader-italic-700.woff2' },
+].map(font => ({ ...font, path: path.join(DOCS_DIR, 'src/fonts', font.file) }));
+
+// setContent() pages have no base URL, so fonts are inlined as data URIs.
+// Read once per run; every card reuses the same stylesheet.
+let fontFaces = null;
+function fontFaceCSS() {
+  if (!fontFaces) {
+    fontFaces = FONTS.map(font => `
+    @font-face {
+      font-family: '${font.family}';
+      font-style: ${font.style};
+      font-weight: ${font.weight};
+      src: url(data:font/woff2;base64,${fs.readFileSync(font.path).toString('base64')}) format('woff2');
+    }`).join('\n');
+  }
+  return fontFaces;
+}
+
+// Everything outside the template files that changes how a card looks;
+// og-templates/index.js folds it into each template's cache key.
+function designInputs() {
+  return [
+    fs.readFileSync(TOKENS_FILE, 'utf-8'),
+    ...FONTS.map(font => fs.readFileSync(font.path).toString('base64')),
+  ].join('\n');
+}
+
+const BASE_CSS = `
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      width: ${WIDTH}px;
+      height: ${HEIGHT}px;
+      font-family: var(--font-body);
+      background: var(--color-paper);
+      color: var(--color-ink);
+      position: relative;
+      overflow: hidden;
+    }
+
+    .accent-rule {
+      position: absolute;
+      top: 0;
+      left: 0;
+      bottom: 0;
+      width: 16px;
+      background: var(--color-accent);
+    }
+
+    .container {
+      padding: 72px 80px 64px 96px;
+      height: 100%;
+      display: flex;
+      flex-direction: column;
+      justify-content: space-between;
+      position: relative;
+      z-index: 10;
+    }
+
+    .badge {
+      align-self: flex-start;
+      background: var(--color-paper-2);
+      color: var(--color-accent-hover);
+      padding: 8px 20px;
+      border-radius: 999px;
+      border: 1px solid var(--color-rule);
+      font-size: 18px;
+      font-weight: 700;
+      letter-spacing: 0.06em;
+      text-transform: uppercase;
+    }
+
+    .content {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      justify-content: center;
+    }
+
+    .title {
+      font-family: var(--font-display);
+      font-size: 72px;
+      font-weight: 600;
+      line-height: 1.1;
+      letter-spacing: var(--tracking-display);
+      margin-bottom: 24px;
+    }
+
+    .description {
+      font-size: 28px;
+      line-height: 1.4;
+      color: var(--color-ink-2);
+      font-weight: 400;
+      max-width: 900px;
+    }
+
+    .footer {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding-top: 28px;
+      border-top: 1px solid var(--color-rule);
+    }
+
+    .branding {
+      font-family: var(--font-display);
+      font-size: 30px;
+      font-weight: 700;
+      letter-spacing: var(--tracking-display);
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      margin-left: auto;
+    }
+
+    .brand-mark {
+      width: 40px;
+      height: 40px;
+      background: var(--color-accent);
+      color: var(--color-accent-ink);
+      border-radius: var(--radius-input);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 24px;
+    }
+`;
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const BRANDING = `<div class="branding">
+        <div class="brand-mark">D</div>
+        <span>DSPy.rb</span>
+      </div>`;
+
+function layout({ css = '', body }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>${fontFaceCSS()}
+    ${fs.readFileSync(TOKENS_FILE, 'utf-8')}${BASE_CSS}${css}
+  </style>
+</head>
+<body>
+  <div class="accent-rule"></div>
+  ${body}
+</body>
+</html>`;
+}
+
+module.exports = { WIDTH, HEIGHT, BRANDING, designInputs, escapeHTML, layout };
@@ -0,0 +1,58 @@
+// Site-wide fallback card used by pages without their own image.
+const { escapeHTML, layout } = require('./base');
+
+const CSS = `
+    body {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .hero {
+      text-align: center;
+      position: relative;
+      z-index: 10;
+    }
+
+    .hero-mark {
+      width: 120px;
+      height: 120px;
+      margin: 0 auto 40px;
+      background: var(--color-accent);
+      color: var(--color-accent-ink);
+      border-radius: var(--radius-card);
+      font-family: var(--font-display);
+      font-size: 80px;
+      font-weight: 700;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .hero .title {
+      font-size: 80px;
+      margin-bottom: 20px;
+    }
+
+    .tagline {
+      font-size: 32px;
+      font-weight: 400;
+      line-height: 1.4;
+      color: var(--color-ink-2);
+      max-width: 800px;
+      margin: 0 auto;
+    }
+`;
+
+function render(card) {
+  return layout({
+    css: CSS,
+    body: `<div class="hero" data-fit-bounds>
+    <div class="hero-mark">D</div>
+    <h1 class="title" data-fit-max="80" data-fit-min="56" data-fit-lines="1">${escapeHTML(card.title)}</h1>
+    <p class="tagline" data-fit-max="32" data-fit-min="24" data-fit-lines="2">${escapeHTML(card.tagline)}</p>
+  </div>`,
+  });
+}
+
+module.exports = { render };
@@ -0,0 +1,32 @@
+// Documentation page card: section label, page title, and the reading path
+// (traversal) the page belongs to.
+const { BRANDING, escapeHTML, layout } = require('./base');
+
+const CSS = `
+    .traversal {
+      font-size: 22px;
+      font-weight: 500;
+      color: var(--color-ink-2);
+    }
+`;
+
+function render(card) {
+  return layout({
+    css: CSS,
+    body: `<div class="container" data-fit-bounds>
+    <div class="badge">${escapeHTML(card.section)}</div>
+
+    <div class="content">
+      <h1 class="title" data-fit-max="72" data-fit-min="44" data-fit-lines="3">${escapeHTML(card.title)}</h1>
+      ${card.description ? `<p class="description" data-fit-max="28" data-fit-min="22" data-fit-lines="3" data-fit-clamp>${escapeHTML(card.description)}</p>` : ''}
+    </div>
+
+    <div class="footer">
+      ${card.traversal ? `<div class="traversal">${escapeHTML(card.traversal)}</div>` : ''}
+      ${BRANDING}
+    </div>
+  </div>`,
+  });
+}
+
+module.exports = { render };
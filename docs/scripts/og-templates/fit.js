@@ -0,0 +1,56 @@
+// Text fitting for OG cards. fitText() runs inside the Playwright page via
+// page.evaluate(), so it must not close over anything from Node.
+//
+// Templates opt elements in with data attributes:
+//   data-fit-max / data-fit-min  font-size range in px, shrunk in 2px steps
+//   data-fit-lines               most lines the element may wrap to
+//   data-fit-clamp               clamp with an ellipsis instead of failing
+//   data-fit-bounds              container whose content must stay on the card
+//
+// Returns { overflows, clamped }; any overflow fails the build.
+
+function fitText() {
+  const overflows = [];
+  const clamped = [];
+  const label = (el) => el.dataset.fitName || el.className || el.tagName.toLowerCase();
+  const lineCount = (el) => Math.round(el.getBoundingClientRect().height / parseFloat(getComputedStyle(el).lineHeight));
+
+  document.querySelectorAll('[data-fit-max]').forEach((el) => {
+    const max = Number(el.dataset.fitMax);
+    const min = Number(el.dataset.fitMin || max);
+    const maxLines = Number(el.dataset.fitLines || 1);
+
+    let size = max;
+    el.style.fontSize = `${size}px`;
+    while (lineCount(el) > maxLines && size > min) {
+      size = Math.max(min, size - 2);
+      el.style.fontSize = `${size}px`;
+    }
+
+    const lines = lineCount(el);
+    if (lines <= maxLines) return;
+
+    const detail = { element: label(el), text: el.textContent.trim(), lines, maxLines, size };
+    if ('fitClamp' in el.dataset) {
+      el.style.display = '-webkit-box';
+      el.style.webkitBoxOrient = 'vertical';
+      el.style.webkitLineClamp = String(maxLines);
+      el.style.overflow = 'hidden';
+      clamped.push(detail);
+    } else {
+      overflows.push(detail);
+    }
+  });
+
+  document.querySelectorAll('[data-fit-bounds]').forEach((el) => {
+    const rect = el.getBoundingClientRect();
+    const spill = Math.max(el.scrollHeight - el.clientHeight, rect.bottom - window.innerHeight, 0);
+    if (spill > 1) {
+      overflows.push({ element: label(el), text: '', spill: Math.ceil(spill) });
+    }
+  });
+
+  return { overflows, clamped };
+}
+
+module.exports = { fitText };
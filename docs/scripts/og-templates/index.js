@@ -0,0 +1,22 @@
+// Template registry for scripts/generate-og-images.js. Each template exports
+// render(card) → HTML; its cache key covers its own file, base.js, fit.js and
+// the tokens and fonts base.js loads.
+const fs = require('fs');
+const path = require('path');
+const { designInputs } = require('./base');
+
+const NAMES = ['article', 'doc', 'section', 'default'];
+
+const templates = Object.fromEntries(NAMES.map(name => {
+  const file = path.join(__dirname, `${name}.js`);
+  return [name, {
+    name,
+    render: require(file).render,
+    source: ['base.js', 'fit.js', `${name}.js`]
+      .map(part => fs.readFileSync(path.join(__dirname, part), 'utf-8'))
+      .concat(designInputs())
+      .join('\n'),
+  }];
+}));
+
+module.exports = { templates };
@@ -0,0 +1,49 @@
+// Section landing card: the section's overview page with the list of pages
+// it leads to.
+const { BRANDING, escapeHTML, layout } = require('./base');
+
+const CSS = `
+    .eyebrow {
+      font-size: 22px;
+      font-weight: 600;
+      letter-spacing: 0.08em;
+      text-transform: uppercase;
+      color: var(--color-ink-3);
+      margin-bottom: 16px;
+    }
+
+    .traversal {
+      font-size: 22px;
+      font-weight: 500;
+      color: var(--color-ink-2);
+    }
+
+    .pages {
+      font-size: 24px;
+      line-height: 1.5;
+      color: var(--color-ink-2);
+      max-width: 960px;
+    }
+`;
+
+function render(card) {
+  return layout({
+    css: CSS,
+    body: `<div class="container" data-fit-bounds>
+    <div class="badge">${escapeHTML(card.section || 'Documentation')}</div>
+
+    <div class="content">
+      <p class="eyebrow">DSPy.rb docs</p>
+      <h1 class="title" data-fit-max="72" data-fit-min="44" data-fit-lines="2">${escapeHTML(card.title)}</h1>
+      ${card.pages && card.pages.length ? `<p class="pages" data-fit-max="24" data-fit-min="20" data-fit-lines="3" data-fit-clamp>${card.pages.map(escapeHTML).join(' · ')}</p>` : ''}
+    </div>
+
+    <div class="footer">
+      ${card.traversal ? `<div class="traversal">${escapeHTML(card.traversal)}</div>` : ''}
+      ${BRANDING}
+    </div>
+  </div>`,
+  });
+}
+
+module.exports = { render };
@@ -0,0 +1,192 @@
+const { chromium } = require('playwright');
+const esbuild = require('esbuild');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Renders every ```mermaid fence in src/**/*.md to static SVG with headless
+// Chromium, then swaps the rendered <pre><code class="language-mermaid">
+// blocks in output/ for the SVG. Pages read without JavaScript or a CDN;
+// frontend/javascript/mermaid-diagrams.js only handles blocks left behind,
+// and redraws these from data-mermaid-source for the dark theme.
+//
+// SVGs are cached in .mermaid-cache/ by a hash of the diagram source, the
+// Mermaid version and the theme inputs, so unchanged diagrams never relaunch
+// the browser.
+
+const DOCS_DIR = path.join(__dirname, '..');
+const SRC_DIR = path.join(DOCS_DIR, 'src');
+const OUTPUT_DIR = path.join(DOCS_DIR, 'output');
+const CACHE_DIR = path.join(DOCS_DIR, '.mermaid-cache');
+const TOKENS_FILE = path.join(DOCS_DIR, 'tokens.css');
+const THEME_MODULE = path.join(DOCS_DIR, 'frontend/javascript/mermaid-theme.js');
+const MERMAID_SCRIPT = require.resolve('mermaid/dist/mermaid.min.js');
+const BODY_FONT = path.join(SRC_DIR, 'fonts/manrope-variable.woff2');
+
+const FENCE = /^```mermaid[ \t]*\n([\s\S]*?)\n```[ \t]*$/gm;
+const RENDERED_BLOCK = /<pre\b[^>]*>\s*<code class="language-mermaid">([\s\S]*?)<\/code>\s*<\/pre>/g;
+
+// Function to walk a directory for files with the given extension
+function walk(dir, extension) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(fullPath, extension);
+    return entry.name.endsWith(extension) ? [fullPath] : [];
+  });
+}
+
+function normalize(source) {
+  return source.replace(/\r\n/g, '\n').replace(/\s+$/, '');
+}
+
+function unescapeHTML(html) {
+  return html
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Anything that changes the rendered SVG belongs in the cache key.
+function themeKey() {
+  const mermaidVersion = JSON.parse(
+    fs.readFileSync(path.join(path.dirname(MERMAID_SCRIPT), '../package.json'), 'utf-8')
+  ).version;
+  return [mermaidVersion, fs.readFileSync(TOKENS_FILE, 'utf-8'), fs.readFileSync(THEME_MODULE, 'utf-8')].join('\0');
+}
+
+function diagramHash(source, key) {
+  return crypto.createHash('sha256').update(key).update('\0').update(normalize(source)).digest('hex').slice(0, 16);
+}
+
+// Function to find mermaid fences in markdown sources
+function findDiagrams(key) {
+  const diagrams = new Map();
+
+  for (const filePath of walk(SRC_DIR, '.md')) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    for (const match of content.matchAll(FENCE)) {
+      const hash = diagramHash(match[1], key);
+      if (diagrams.has(hash)) continue;
+      diagrams.set(hash, {
+        hash,
+        source: normalize(match[1]),
+        location: `${path.relative(DOCS_DIR, filePath)}:${content.slice(0, match.index).split('\n').length}`,
+      });
+    }
+  }
+
+  return Array.from(diagrams.values());
+}
+
+function pageHTML() {
+  const font = fs.readFileSync(BODY_FONT).toString('base64');
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    @font-face {
+      font-family: 'Manrope';
+      font-weight: 400 800;
+      src: url(data:font/woff2;base64,${font}) format('woff2');
+    }
+    ${fs.readFileSync(TOKENS_FILE, 'utf-8')}
+    body { font-family: var(--font-body); background: var(--color-paper); }
+  </style>
+</head>
+<body></body>
+</html>`;
+}
+
+// Function to render uncached diagrams into CACHE_DIR
+async function renderMissing(diagrams) {
+  const missing = diagrams.filter(diagram => !fs.existsSync(path.join(CACHE_DIR, `${diagram.hash}.svg`)));
+  if (missing.length === 0) return [];
+
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const theme = esbuild.buildSync({
+    entryPoints: [THEME_MODULE],
+    bundle: true,
+    format: 'iife',
+    globalName: 'MermaidTheme',
+    write: false,
+  }).outputFiles[0].text;
+
+  const browser = await chromium.launch({ headless: true });
+  const failures = [];
+  try {
+    const page = await browser.newPage();
+    await page.setViewportSize({ width: 1200, height: 630 });
+    await page.emulateMedia({ colorScheme: 'light' }); // figures are marked data-mermaid-theme="light"
+    await page.setContent(pageHTML());
+    await page.addScriptTag({ path: MERMAID_SCRIPT });
+    await page.addScriptTag({ content: theme });
+    await page.evaluate(() => document.fonts.ready);
+    await page.evaluate(() => window.mermaid.initialize(window.MermaidTheme.mermaidConfig()));
+
+    for (const diagram of missing) {
+      console.log(`Rendering diagram ${diagram.hash} (${diagram.location})`);
+      try {
+        const svg = await page.evaluate(
+          async ({ id, source }) => (await window.mermaid.render(id, source)).svg,
+          { id: `mermaid-${diagram.hash}`, source: diagram.source }
+        );
+        fs.writeFileSync(path.join(CACHE_DIR, `${diagram.hash}.svg`), svg);
+      } catch (error) {
+        failures.push(diagram);
+        console.warn(`  Could not render ${diagram.location}; the page keeps client-side rendering.`);
+        console.warn(`  ${error.message.split('\n')[0]}`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return failures;
+}
+
+// Function to swap rendered mermaid code blocks in output/ for cached SVG
+function substitute(key) {
+  let replaced = 0;
+  let pages = 0;
+
+  for (const filePath of walk(OUTPUT_DIR, '.html')) {
+    const html = fs.readFileSync(filePath, 'utf-8');
+    let changed = false;
+    const updated = html.replace(RENDERED_BLOCK, (block, escaped) => {
+      const cached = path.join(CACHE_DIR, `${diagramHash(unescapeHTML(escaped), key)}.svg`);
+      if (!fs.existsSync(cached)) return block;
+      changed = true;
+      replaced += 1;
+      return `<figure class="mermaid" data-mermaid-prerendered data-mermaid-theme="light" data-mermaid-source="${escaped.replace(/"/g, '&quot;')}">${fs.readFileSync(cached, 'utf-8')}</figure>`;
+    });
+    if (changed) {
+      fs.writeFileSync(filePath, updated);
+      pages += 1;
+    }
+  }
+
+  return { replaced, pages };
+}
+
+async function prerenderMermaid() {
+  const key = themeKey();
+  const diagrams = findDiagrams(key);
+  console.log(`Found ${diagrams.length} mermaid diagrams in src/.`);
+
+  const failures = await renderMissing(diagrams);
+
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    console.log('No output/ directory yet; rendered diagrams are cached for the next build.');
+    return;
+  }
+  const { replaced, pages } = substitute(key);
+  console.log(`Inlined ${replaced} diagrams across ${pages} pages (${failures.length} left to the browser).`);
+}
+
+prerenderMermaid().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Static server for the built site in output/, mounted under the same
+// /dspy.rb base path as production. Used by the Playwright suites in test/;
+// run `bun run build` first.
+//
+//   node scripts/serve-output.js [port]
+
+const OUTPUT_DIR = path.join(__dirname, '../output');
+const BASE_PATH = '/dspy.rb';
+const PORT = Number(process.argv[2] || process.env.PORT || 4010);
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+// Function to map a request path to a file in output/, or null
+function resolveFile(urlPath) {
+  if (urlPath !== BASE_PATH && !urlPath.startsWith(`${BASE_PATH}/`)) return null;
+
+  const relative = decodeURIComponent(urlPath.slice(BASE_PATH.length)) || '/';
+  const filePath = path.normalize(path.join(OUTPUT_DIR, relative));
+  if (filePath !== OUTPUT_DIR && !filePath.startsWith(`${OUTPUT_DIR}${path.sep}`)) return null;
+
+  for (const candidate of [filePath, path.join(filePath, 'index.html'), `${filePath}.html`]) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+  }
+  return null;
+}
+
+function send(res, status, filePath) {
+  res.writeHead(status, {
+    'Content-Type': TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Cache-Control': 'no-store',
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/') {
+      res.writeHead(302, { Location: `${BASE_PATH}/` });
+      res.end();
+      return;
+    }
+
+    const filePath = resolveFile(pathname);
+    if (filePath) {
+      send(res, 200, filePath);
+      return;
+    }
+
+    const notFound = path.join(OUTPUT_DIR, '404.html');
+    if (fs.existsSync(notFound)) {
+      send(res, 404, notFound);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+    }
+  });
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(path.join(OUTPUT_DIR, 'index.html'))) {
+    console.error('output/index.html is missing; run `bun run build` first.');
+    process.exit(1);
+  }
+  createServer().listen(PORT, () => {
+    console.log(`Serving output/ at http://localhost:${PORT}${BASE_PATH}/`);
+  });
+}
+
+module.exports = { createServer, resolveFile, BASE_PATH };
@@ -30,7 +30,7 @@ module.exports = {
         DEFAULT: {
           css: {
             code: {
-              backgroundColor: theme('colors.gray.100'),
+              backgroundColor: 'var(--color-paper-2)',
               padding: '0.125rem 0.25rem',
               borderRadius: '0.25rem',
               fontWeight: '500',
@@ -48,7 +48,7 @@ module.exports = {
               content: '""',
             },
             pre: {
-              backgroundColor: theme('colors.gray.900'),
+              backgroundColor: 'var(--color-code-bg)',
               color: theme('colors.gray.100'),
               overflowX: 'auto',
               borderColor: theme('colors.gray.700'),
@@ -72,6 +72,29 @@ module.exports = {
             },
           },
         },
+        // `prose-ink`: prose colors from the design tokens, so articles follow
+        // the light/dark theme (replaces `prose-gray`).
+        ink: {
+          css: {
+            '--tw-prose-body': 'var(--color-ink-2)',
+            '--tw-prose-headings': 'var(--color-ink)',
+            '--tw-prose-lead': 'var(--color-ink-2)',
+            '--tw-prose-links': 'var(--color-ink)',
+            '--tw-prose-bold': 'var(--color-ink)',
+            '--tw-prose-counters': 'var(--color-ink-3)',
+            '--tw-prose-bullets': 'var(--color-ink-3)',
+            '--tw-prose-hr': 'var(--color-rule)',
+            '--tw-prose-quotes': 'var(--color-ink)',
+            '--tw-prose-quote-borders': 'var(--color-rule)',
+            '--tw-prose-captions': 'var(--color-ink-3)',
+            '--tw-prose-kbd': 'var(--color-ink)',
+            '--tw-prose-code': 'var(--color-ink)',
+            '--tw-prose-pre-code': theme('colors.gray.100'),
+            '--tw-prose-pre-bg': 'var(--color-code-bg)',
+            '--tw-prose-th-borders': 'var(--color-rule)',
+            '--tw-prose-td-borders': 'var(--color-rule)',
+          },
+        },
       }),
     },
   },
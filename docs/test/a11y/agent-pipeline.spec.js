@@ -0,0 +1,86 @@
+const AxeBuilder = require('@axe-core/playwright').default;
+const { test, expect, visit } = require('../support/fixtures');
+
+// Keyboard and ARIA behaviour of the "shape of an agent" filmstrip
+// (frontend/javascript/agent-pipeline.js) on the home page.
+
+const HOME = '/dspy.rb/';
+
+test.describe('agent pipeline on desktop', () => {
+  test.use({ viewport: { width: 1280, height: 800 } });
+
+  test.beforeEach(async ({ page }) => {
+    await visit(page, HOME);
+    await page.locator('[data-agent-pipeline]').scrollIntoViewIfNeeded();
+  });
+
+  test('starts on step 1 with the previous arrow disabled', async ({ page }) => {
+    const pipeline = page.locator('[data-agent-pipeline]');
+    await expect(pipeline.locator('[data-agent-controls]')).toBeVisible();
+    await expect(pipeline.getByRole('button', { name: 'Previous step' })).toBeDisabled();
+    await expect(pipeline.getByRole('button', { name: 'Next step' })).toBeEnabled();
+    await expect(pipeline.locator('[data-agent-status]')).toHaveText('01 / 03');
+    await expect(pipeline.locator('[data-agent-dots] button[aria-current="true"]')).toHaveAttribute('aria-label', 'Go to step 1');
+  });
+
+  test('focus order runs arrows then track, skipping hidden dots', async ({ page }) => {
+    const pipeline = page.locator('[data-agent-pipeline]');
+    const next = pipeline.getByRole('button', { name: 'Next step' });
+    await next.focus();
+
+    await page.keyboard.press('Tab');
+    await expect(pipeline.locator('[data-agent-track]')).toBeFocused();
+
+    await page.keyboard.press('Shift+Tab');
+    await expect(next).toBeFocused();
+  });
+
+  test('arrow keys on the track move between steps', async ({ page }) => {
+    const pipeline = page.locator('[data-agent-pipeline]');
+    const track = pipeline.locator('[data-agent-track]');
+    const status = pipeline.locator('[data-agent-status]');
+    await track.focus();
+
+    await page.keyboard.press('ArrowRight');
+    await expect(status).toHaveText('02 / 03');
+    await expect(pipeline.locator('[data-agent-dots] button[aria-current="true"]')).toHaveAttribute('aria-label', 'Go to step 2');
+
+    await page.keyboard.press('ArrowLeft');
+    await page.keyboard.press('ArrowLeft');
+    await expect(status).toHaveText('01 / 03');
+    await expect(pipeline.locator('[data-agent-dots] button[aria-current]')).toHaveCount(1);
+    await expect(track).toBeFocused();
+  });
+
+  test('focus survives the arrow it is on becoming disabled', async ({ page }) => {
+    const pipeline = page.locator('[data-agent-pipeline]');
+    const next = pipeline.getByRole('button', { name: 'Next step' });
+    const prev = pipeline.getByRole('button', { name: 'Previous step' });
+
+    await next.focus();
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await expect(pipeline.locator('[data-agent-status]')).toHaveText('03 / 03');
+    await expect(next).toBeDisabled();
+    await expect(prev).toBeFocused();
+  });
+
+  test('has no axe violations', async ({ page }) => {
+    const results = await new AxeBuilder({ page })
+      .include('[data-agent-pipeline]')
+      .withTags(['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'])
+      .analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
+
+test.describe('agent pipeline on mobile', () => {
+  test.use({ viewport: { width: 390, height: 844 } });
+
+  test('hides the arrow controls and keeps the steps in the page flow', async ({ page }) => {
+    await visit(page, HOME);
+    const pipeline = page.locator('[data-agent-pipeline]');
+    await expect(pipeline.locator('[data-agent-controls]')).toBeHidden();
+    await expect(pipeline.getByRole('list', { name: /How an agent runs/ })).toBeVisible();
+  });
+});
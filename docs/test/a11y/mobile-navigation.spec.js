@@ -0,0 +1,145 @@
+const AxeBuilder = require('@axe-core/playwright').default;
+const { test, expect, visit } = require('../support/fixtures');
+
+// Keyboard and ARIA behaviour of frontend/javascript/mobile-navigation.js on
+// both menus it drives: the docs sidebar drawer and the site header menu.
+
+const MENUS = {
+  docs: { url: '/dspy.rb/getting-started/installation/', label: 'Documentation navigation' },
+  site: { url: '/dspy.rb/', label: 'Site navigation' },
+};
+
+test.use({ viewport: { width: 390, height: 844 } });
+
+// Function to locate the focused element among the menu's focusable
+// elements, filtered the same way as the script's focus trap
+async function menuFocus(page) {
+  return page.locator('#mobile-menu').evaluate((menu) => {
+    const focusable = Array.from(
+      menu.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])')
+    ).filter((el) => !el.closest('[hidden], .hidden') && el.getAttribute('aria-hidden') !== 'true');
+    return { index: focusable.indexOf(document.activeElement), count: focusable.length };
+  });
+}
+
+for (const [name, menu] of Object.entries(MENUS)) {
+  test.describe(`${name} mobile menu`, () => {
+    test.beforeEach(async ({ page }) => {
+      await visit(page, menu.url);
+    });
+
+    test('button reports collapsed state and controls the dialog', async ({ page }) => {
+      const button = page.locator('#mobile-menu-button');
+      await expect(button).toHaveAttribute('aria-expanded', 'false');
+      await expect(button).toHaveAttribute('aria-controls', 'mobile-menu');
+      await expect(button).toHaveAccessibleName(/navigation/i);
+      await expect(page.getByRole('dialog', { name: menu.label })).toBeHidden();
+    });
+
+    test('opening moves focus into the dialog', async ({ page }) => {
+      const button = page.locator('#mobile-menu-button');
+      await button.click();
+
+      const dialog = page.getByRole('dialog', { name: menu.label });
+      await expect(dialog).toBeVisible();
+      await expect(dialog).toHaveAttribute('aria-modal', 'true');
+      await expect(button).toHaveAttribute('aria-expanded', 'true');
+      await expect(page.locator('#mobile-menu-close')).toBeFocused();
+    });
+
+    test('Tab and Shift+Tab stay inside the open dialog', async ({ page }) => {
+      await page.locator('#mobile-menu-button').click();
+      await expect(page.locator('#mobile-menu-close')).toBeFocused();
+      const start = await menuFocus(page);
+      expect(start.count).toBeGreaterThan(1);
+
+      // One full lap forwards never leaves the dialog and ends where it began.
+      for (let i = 0; i < start.count; i += 1) {
+        await page.keyboard.press('Tab');
+        expect((await menuFocus(page)).index).not.toBe(-1);
+      }
+      await expect(page.locator('#mobile-menu-close')).toBeFocused();
+
+      // Back to the first element, then Shift+Tab wraps to the last.
+      for (let i = 0; i < start.index; i += 1) await page.keyboard.press('Shift+Tab');
+      expect((await menuFocus(page)).index).toBe(0);
+      await page.keyboard.press('Shift+Tab');
+      expect((await menuFocus(page)).index).toBe(start.count - 1);
+    });
+
+    test('Escape closes the dialog and restores focus', async ({ page }) => {
+      const button = page.locator('#mobile-menu-button');
+      await button.focus();
+      await page.keyboard.press('Enter');
+      await expect(page.locator('#mobile-menu-close')).toBeFocused();
+
+      await page.keyboard.press('Escape');
+      await expect(button).toHaveAttribute('aria-expanded', 'false');
+      await expect(page.getByRole('dialog', { name: menu.label })).toBeHidden();
+      await expect(button).toBeFocused();
+    });
+
+    test('close button restores focus', async ({ page }) => {
+      const button = page.locator('#mobile-menu-button');
+      await button.click();
+      await page.locator('#mobile-menu-close').click();
+      await expect(page.getByRole('dialog', { name: menu.label })).toBeHidden();
+      await expect(button).toBeFocused();
+    });
+
+    test('open dialog has no axe violations', async ({ page }) => {
+      await page.locator('#mobile-menu-button').click();
+      await expect(page.locator('#mobile-menu-close')).toBeFocused();
+
+      const results = await new AxeBuilder({ page })
+        .include('#mobile-menu')
+        .withTags(['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'])
+        .analyze();
+      expect(results.violations).toEqual([]);
+    });
+  });
+}
+
+test.describe('docs sidebar in the mobile menu', () => {
+  test.beforeEach(async ({ page }) => {
+    await visit(page, MENUS.docs.url);
+    await page.locator('#mobile-menu-button').click();
+  });
+
+  test('marks the current page and section', async ({ page }) => {
+    const sidebar = page.locator('[data-doc-sidebar="mobile"]');
+    await expect(sidebar.locator('a[aria-current="page"]')).toHaveCount(1);
+    await expect(sidebar.locator('a[aria-current="page"]')).toHaveAttribute('data-doc-path', '/getting-started/installation/');
+    await expect(sidebar.locator('[data-dropdown-toggle][aria-current="location"]')).toHaveText(/Start/);
+  });
+
+  test('section toggles report and switch their expanded state', async ({ page }) => {
+    const toggle = page.locator('[data-doc-sidebar="mobile"] [data-dropdown-toggle]').first();
+    const panel = page.locator(`#${await toggle.getAttribute('aria-controls')}`);
+
+    await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    await expect(panel).toBeVisible();
+
+    await toggle.press('Enter');
+    await expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    await expect(panel).toBeHidden();
+
+    await toggle.press('Space');
+    await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    await expect(panel).toBeVisible();
+  });
+
+  test('collapsed sections stay collapsed on the next page, in both sidebars', async ({ page }) => {
+    const toggle = page.locator('[data-doc-sidebar="mobile"] [data-dropdown-toggle]:not([aria-current])').first();
+    const target = await toggle.getAttribute('data-dropdown-toggle');
+    const desktopTarget = target.replace(/^mobile-/, 'desktop-');
+    await toggle.press('Enter');
+    await expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    await expect(page.locator(`[data-dropdown-toggle="${desktopTarget}"]`)).toHaveAttribute('aria-expanded', 'false');
+
+    await visit(page, MENUS.docs.url);
+    await expect(page.locator(`[data-dropdown-toggle="${target}"]`)).toHaveAttribute('aria-expanded', 'false');
+    await expect(page.locator(`#${target}`)).toBeHidden();
+    await expect(page.locator('[data-doc-sidebar="mobile"] [aria-current="location"]')).toHaveAttribute('aria-expanded', 'true');
+  });
+});
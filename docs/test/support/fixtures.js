@@ -0,0 +1,24 @@
+const { test: base, expect } = require('@playwright/test');
+
+// Shared Playwright fixtures. Every page is confined to the local server:
+// requests to other hosts (analytics, CDNs) are aborted, so the suites run
+// offline and third-party responses can't change the results.
+
+const test = base.extend({
+  page: async ({ page, baseURL }, use) => {
+    const origin = new URL(baseURL).origin;
+    await page.route(
+      (url) => url.origin !== origin,
+      (route) => route.abort('blockedbyclient')
+    );
+    await use(page);
+  },
+});
+
+// Function to load a page and wait until fonts and lazy work have settled
+async function visit(page, url) {
+  await page.goto(url, { waitUntil: 'networkidle' });
+  await page.evaluate(() => document.fonts.ready);
+}
+
+module.exports = { test, expect, visit };
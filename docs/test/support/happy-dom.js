@@ -0,0 +1,5 @@
+// Preloaded by `bun test` (see bunfig.toml): gives unit tests a window,
+// document and the rest of the DOM globals the frontend modules expect.
+import { GlobalRegistrator } from '@happy-dom/global-registrator';
+
+GlobalRegistrator.register({ url: 'http://localhost/dspy.rb/' });
@@ -0,0 +1,291 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { initAgentPipeline, initAgentPipelines } from '../../frontend/javascript/agent-pipeline.js';
+
+function markup(steps = ['Define', 'Run', 'Inspect'], key = '') {
+  return `
+  <div data-agent-pipeline${key ? `="${key}"` : ''}>
+    <div data-agent-controls hidden>
+      <button type="button" data-agent-prev aria-label="Previous step"></button>
+      <button type="button" data-agent-next aria-label="Next step"></button>
+      <ol data-agent-dots aria-hidden="true"></ol>
+      <span data-agent-status>01 / 03</span>
+    </div>
+    <ol data-agent-track tabindex="0">
+      ${steps.map((step) => `<li class="agent-panel"><div data-agent-head>${step}</div></li>`).join('')}
+    </ol>
+  </div>`;
+}
+
+function autoplayMarkup(value = '') {
+  return markup().replace('<div data-agent-pipeline', `<div data-agent-autoplay="${value}" data-agent-pipeline`);
+}
+
+function mount(html = markup()) {
+  document.body.innerHTML = html;
+  return document.querySelector('[data-agent-pipeline]');
+}
+
+const status = (root) => root.querySelector('[data-agent-status]').textContent;
+const press = (element, key) => element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+const visitHash = (hash) => {
+  window.history.replaceState(null, '', `/dspy.rb/${hash}`);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+let teardowns = [];
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  document.body.innerHTML = '';
+  window.history.replaceState(null, '', '/dspy.rb/');
+});
+
+describe('initAgentPipeline', () => {
+  test('adds one dot per step and starts on step 1', () => {
+    const root = mount();
+    initAgentPipeline(root);
+
+    const dots = root.querySelectorAll('[data-agent-dots] button');
+    expect(dots).toHaveLength(3);
+    expect(dots[0].getAttribute('aria-current')).toBe('true');
+    expect(dots[0].tabIndex).toBe(-1);
+    expect(status(root)).toBe('01 / 03');
+    expect(root.querySelector('[data-agent-prev]').disabled).toBe(true);
+    expect(root.querySelector('[data-agent-next]').disabled).toBe(false);
+  });
+
+  test('arrow keys and buttons move between steps within bounds', () => {
+    const root = mount();
+    initAgentPipeline(root);
+    const track = root.querySelector('[data-agent-track]');
+
+    press(track, 'ArrowRight');
+    expect(status(root)).toBe('02 / 03');
+    root.querySelector('[data-agent-next]').click();
+    expect(status(root)).toBe('03 / 03');
+    press(track, 'ArrowRight');
+    expect(status(root)).toBe('03 / 03');
+    expect(root.querySelector('[data-agent-next]').disabled).toBe(true);
+
+    root.querySelectorAll('[data-agent-dots] button')[0].click();
+    expect(status(root)).toBe('01 / 03');
+  });
+
+  test('moves focus off an arrow that disables itself', () => {
+    const root = mount();
+    initAgentPipeline(root);
+    const next = root.querySelector('[data-agent-next]');
+
+    next.focus();
+    next.click();
+    next.click();
+    expect(next.disabled).toBe(true);
+    expect(document.activeElement).toBe(root.querySelector('[data-agent-prev]'));
+  });
+
+  test('leaves single-step pipelines alone', () => {
+    const root = mount(markup(['Define']));
+    const teardown = initAgentPipeline(root);
+    expect(root.querySelectorAll('[data-agent-dots] button')).toHaveLength(0);
+    expect(typeof teardown).toBe('function');
+  });
+
+  test('teardown removes dots, listeners and inline state', () => {
+    const root = mount();
+    const teardown = initAgentPipeline(root);
+    const track = root.querySelector('[data-agent-track]');
+    press(track, 'ArrowRight');
+
+    teardown();
+    expect(root.querySelectorAll('[data-agent-dots] li')).toHaveLength(0);
+    expect(root.querySelector('[data-agent-controls]').hidden).toBe(true);
+    expect(status(root)).toBe('01 / 03');
+
+    press(track, 'ArrowRight');
+    expect(status(root)).toBe('01 / 03');
+  });
+
+  test('instances on one page are independent', () => {
+    document.body.innerHTML = markup() + markup();
+    const teardown = initAgentPipelines();
+    const [first, second] = document.querySelectorAll('[data-agent-pipeline]');
+
+    press(first.querySelector('[data-agent-track]'), 'ArrowRight');
+    expect(status(first)).toBe('02 / 03');
+    expect(status(second)).toBe('01 / 03');
+
+    teardown();
+    expect(document.querySelectorAll('[data-agent-dots] li')).toHaveLength(0);
+  });
+});
+
+describe('URL hash', () => {
+  test('gives panels linkable ids', () => {
+    const root = mount();
+    teardowns.push(initAgentPipeline(root));
+    const ids = Array.from(root.querySelectorAll('.agent-panel')).map((panel) => panel.id);
+    expect(ids).toEqual(['pipeline-step-1', 'pipeline-step-2', 'pipeline-step-3']);
+  });
+
+  test('restores the linked step on load', () => {
+    window.history.replaceState(null, '', '/dspy.rb/#pipeline-step-3');
+    const root = mount();
+    teardowns.push(initAgentPipeline(root));
+    expect(status(root)).toBe('03 / 03');
+  });
+
+  test('deliberate moves push the step into the URL', () => {
+    const root = mount();
+    teardowns.push(initAgentPipeline(root));
+    const before = window.history.length;
+
+    root.querySelector('[data-agent-next]').click();
+    expect(window.location.hash).toBe('#pipeline-step-2');
+    press(root.querySelector('[data-agent-track]'), 'ArrowRight');
+    expect(window.location.hash).toBe('#pipeline-step-3');
+    expect(window.history.length).toBe(before + 2);
+  });
+
+  test('back/forward restores the step, and a bare URL means step 1', () => {
+    const root = mount();
+    teardowns.push(initAgentPipeline(root));
+
+    visitHash('#pipeline-step-2');
+    expect(status(root)).toBe('02 / 03');
+    visitHash('#some-heading');
+    expect(status(root)).toBe('02 / 03');
+    visitHash('');
+    expect(status(root)).toBe('01 / 03');
+  });
+
+  test('each pipeline on a page has its own key', () => {
+    document.body.innerHTML = markup() + markup() + markup(undefined, 'tools');
+    teardowns.push(initAgentPipelines());
+    const [first, second, tools] = document.querySelectorAll('[data-agent-pipeline]');
+
+    expect(second.querySelector('.agent-panel').id).toBe('pipeline-2-step-1');
+    expect(tools.querySelector('.agent-panel').id).toBe('tools-step-1');
+
+    visitHash('#tools-step-2');
+    expect(status(tools)).toBe('02 / 03');
+    expect(status(first)).toBe('01 / 03');
+    expect(status(second)).toBe('01 / 03');
+
+    second.querySelector('[data-agent-next]').click();
+    expect(window.location.hash).toBe('#pipeline-2-step-2');
+  });
+
+  test('teardown stops listening and removes assigned ids', () => {
+    const root = mount();
+    const teardown = initAgentPipeline(root);
+    teardown();
+
+    visitHash('#pipeline-step-2');
+    expect(status(root)).toBe('01 / 03');
+    expect(root.querySelector('.agent-panel').hasAttribute('id')).toBe(false);
+  });
+});
+
+describe('autoplay', () => {
+  const progress = (root) => root.querySelector('.filmstrip-autoplay-progress');
+  const tick = (root) => progress(root).firstElementChild.dispatchEvent(new Event('animationend'));
+  const setHidden = (hidden) => {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  afterEach(() => {
+    delete document.hidden;
+  });
+
+  test('stays off without the attribute', () => {
+    const root = mount();
+    teardowns.push(initAgentPipeline(root));
+    expect(root.querySelector('.filmstrip-autoplay')).toBeNull();
+  });
+
+  test('stays off for reduced motion', () => {
+    const matchMedia = window.matchMedia;
+    window.matchMedia = (query) => {
+      const list = matchMedia.call(window, query);
+      if (query.includes('reduce')) Object.defineProperty(list, 'matches', { value: true });
+      return list;
+    };
+    try {
+      const root = mount(autoplayMarkup());
+      teardowns.push(initAgentPipeline(root));
+      expect(root.querySelector('.filmstrip-autoplay')).toBeNull();
+    } finally {
+      window.matchMedia = matchMedia;
+    }
+  });
+
+  test('advances on each countdown and loops without adding history', () => {
+    const root = mount(autoplayMarkup('3000'));
+    teardowns.push(initAgentPipeline(root));
+    const length = window.history.length;
+
+    expect(progress(root).style.getPropertyValue('--filmstrip-autoplay-interval')).toBe('3000ms');
+    expect(progress(root).hasAttribute('data-running')).toBe(true);
+    tick(root);
+    expect(status(root)).toBe('02 / 03');
+    tick(root);
+    tick(root);
+    expect(status(root)).toBe('01 / 03');
+    expect(window.history.length).toBe(length);
+  });
+
+  test('leaves the URL hash alone', () => {
+    window.history.replaceState(null, '', '/dspy.rb/#install');
+    const root = mount(autoplayMarkup('3000'));
+    teardowns.push(initAgentPipeline(root));
+
+    tick(root);
+    expect(status(root)).toBe('02 / 03');
+    expect(window.location.hash).toBe('#install');
+  });
+
+  test('pauses on hover, focus, a hidden tab and the toggle', () => {
+    const root = mount(autoplayMarkup());
+    teardowns.push(initAgentPipeline(root));
+    const track = root.querySelector('[data-agent-track]');
+    const toggle = root.querySelector('.filmstrip-autoplay-toggle');
+    const paused = () => progress(root).hasAttribute('data-paused');
+
+    expect(paused()).toBe(false);
+    track.dispatchEvent(new Event('pointerenter'));
+    expect(paused()).toBe(true);
+    tick(root);
+    expect(status(root)).toBe('01 / 03');
+    track.dispatchEvent(new Event('pointerleave'));
+    expect(paused()).toBe(false);
+
+    track.focus();
+    expect(paused()).toBe(true);
+    track.blur();
+    expect(paused()).toBe(false);
+
+    setHidden(true);
+    expect(paused()).toBe(true);
+    setHidden(false);
+    expect(paused()).toBe(false);
+
+    toggle.click();
+    expect(toggle.textContent).toBe('Play tour');
+    expect(paused()).toBe(true);
+    toggle.focus();
+    toggle.click();
+    expect(toggle.textContent).toBe('Pause tour');
+    expect(paused()).toBe(false);
+  });
+
+  test('teardown removes the autoplay controls', () => {
+    const root = mount(autoplayMarkup());
+    const teardown = initAgentPipeline(root);
+    teardown();
+
+    expect(root.querySelector('.filmstrip-autoplay')).toBeNull();
+  });
+});
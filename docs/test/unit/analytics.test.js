@@ -0,0 +1,219 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from 'bun:test';
+import {
+  CONSENT_KEY,
+  analyticsEnabled,
+  downloadProps,
+  initAnalytics,
+  isOutbound,
+  pageContext,
+  setConsent,
+  track,
+  trackedEvent,
+} from '../../frontend/javascript/analytics.js';
+
+const link = (href) => {
+  const a = document.createElement('a');
+  a.href = href;
+  return a;
+};
+
+// The test window runs on localhost, so analytics is in debug mode and
+// events land on console.info.
+let info;
+let warn;
+let teardowns = [];
+
+beforeEach(() => {
+  info = spyOn(console, 'info').mockImplementation(() => {});
+  warn = spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  info.mockRestore();
+  warn.mockRestore();
+  delete navigator.doNotTrack;
+  window.localStorage.clear();
+  document.head.innerHTML = '';
+  document.body.innerHTML = '';
+});
+
+const logged = () => info.mock.calls.filter(([prefix]) => prefix === '[analytics]').map(([, name, props]) => [name, props]);
+
+describe('link classification', () => {
+  const location = new URL('https://oss.vicente.services/dspy.rb/');
+
+  test('isOutbound compares hostnames, so subdomains and look-alikes are outbound', () => {
+    expect(isOutbound(link('https://oss.vicente.services/dspy.rb/getting-started/'), location)).toBe(false);
+    expect(isOutbound(link('https://github.com/vicentereig/dspy.rb'), location)).toBe(true);
+    expect(isOutbound(link('https://docs.oss.vicente.services/'), location)).toBe(true);
+    expect(isOutbound(link('https://oss.vicente.services.example.com/'), location)).toBe(true);
+    expect(isOutbound(link('mailto:hello@vicente.services'), location)).toBe(false);
+  });
+
+  test('downloadProps recognizes files by extension', () => {
+    expect(downloadProps(link('/dspy.rb/llms-full.txt?v=2'))).toEqual({
+      file: 'llms-full.txt',
+      type: 'txt',
+      url: 'http://localhost/dspy.rb/llms-full.txt?v=2',
+    });
+    expect(downloadProps(link('/dspy.rb/getting-started/'))).toBeNull();
+  });
+
+  test('trackedEvent reads data-track and snake_cases data-track-* props', () => {
+    const button = document.createElement('button');
+    button.dataset.track = 'Offline Download';
+    button.dataset.trackSource = 'sidebar';
+    button.dataset.trackFileType = 'html';
+    expect(trackedEvent(button)).toEqual({ name: 'Offline Download', props: { source: 'sidebar', file_type: 'html' } });
+  });
+});
+
+describe('pageContext', () => {
+  test('reads the navigation context and the enclosing h2', () => {
+    document.body.innerHTML = `
+      <div data-page-section="build" data-page-traversal="none">
+        <article>
+          <pre id="intro-code"></pre>
+          <h2 id="setup">Setup</h2><pre id="setup-code"></pre>
+          <h2 id="usage">Usage</h2><p><code id="usage-code"></code></p>
+        </article>
+      </div>
+      <pre id="outside"></pre>`;
+    const context = (id) => pageContext(document.getElementById(id));
+    expect(context('intro-code')).toEqual({ section: 'build', traversal: 'none' });
+    expect(context('setup-code')).toEqual({ section: 'build', traversal: 'none', heading: 'setup' });
+    expect(context('usage-code')).toEqual({ section: 'build', traversal: 'none', heading: 'usage' });
+    expect(context('outside')).toEqual({});
+  });
+});
+
+describe('track', () => {
+  test('logs declared events with declared props only in debug mode', () => {
+    expect(track('Offline Download', { source: 'sidebar', extra: 'x' })).toBe(true);
+    expect(logged()).toEqual([['Offline Download', { source: 'sidebar' }]]);
+    expect(warn).toHaveBeenCalledWith('[analytics] "Offline Download" does not declare extra');
+  });
+
+  test('rejects events missing from the catalog', () => {
+    expect(track('Clicked Something')).toBe(false);
+    expect(logged()).toEqual([]);
+  });
+
+  test('respects Do Not Track and the saved consent', () => {
+    setConsent(false);
+    expect(analyticsEnabled()).toBe(false);
+    expect(track('Offline Download')).toBe(false);
+
+    setConsent(true);
+    Object.defineProperty(navigator, 'doNotTrack', { configurable: true, value: '1' });
+    expect(analyticsEnabled()).toBe(false);
+    expect(track('Offline Download')).toBe(false);
+    expect(logged()).toEqual([]);
+  });
+});
+
+describe('initAnalytics', () => {
+  test('records the pageview and a flagged 404', () => {
+    document.head.innerHTML = '<meta name="http-status" content="404">';
+    teardowns.push(initAnalytics());
+    expect(info.mock.calls[0]).toEqual(['[analytics] pageview', window.location.href]);
+    expect(logged()).toEqual([['404', { path: window.location.pathname, referrer: 'Direct' }]]);
+  });
+
+  test('sends data-track events and outbound links through one listener', () => {
+    document.body.innerHTML = `
+      <button type="button" data-track="Offline Download" data-track-source="sidebar"><span>Download all docs</span></button>
+      <a href="https://github.com/vicentereig/dspy.rb">GitHub</a>`;
+    teardowns.push(initAnalytics());
+    const stay = (e) => e.preventDefault(); // keep happy-dom from following the link
+    document.addEventListener('click', stay);
+
+    document.querySelector('span').click();
+    document.querySelector('a').click();
+    document.removeEventListener('click', stay);
+    expect(logged()).toEqual([
+      ['Offline Download', { source: 'sidebar' }],
+      ['Outbound Link', { url: 'https://github.com/vicentereig/dspy.rb', text: 'GitHub' }],
+    ]);
+  });
+
+  test('adds the declared navigation context to data-track events', () => {
+    document.body.innerHTML = `
+      <div data-page-section="start" data-page-traversal="novice">
+        <nav data-doc-context-exits>
+          <a href="/dspy.rb/advanced/" data-track="Context Exit" data-track-label="Extend DSPy.rb" data-track-url="/advanced/">Extend DSPy.rb</a>
+        </nav>
+      </div>`;
+    teardowns.push(initAnalytics());
+    const stay = (e) => e.preventDefault();
+    document.addEventListener('click', stay);
+    document.querySelector('a').click();
+    document.removeEventListener('click', stay);
+    expect(logged()).toEqual([
+      ['Context Exit', { section: 'start', traversal: 'novice', label: 'Extend DSPy.rb', url: '/advanced/' }],
+    ]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('counts every URL the page moves to once, hash included', () => {
+    const start = window.location.href;
+    teardowns.push(initAnalytics());
+    const pageviews = () => info.mock.calls.filter(([prefix]) => prefix === '[analytics] pageview').map(([, url]) => url);
+
+    window.history.pushState(null, '', '#pipeline-step-3'); // a filmstrip step or anchor link
+    window.history.pushState(null, '', '/dspy.rb/signatures/'); // instant navigation
+    document.dispatchEvent(new CustomEvent('instantnavigation', { detail: { url: window.location.href } }));
+    window.history.replaceState(null, '', start);
+    window.dispatchEvent(new PopStateEvent('popstate')); // Back
+    window.dispatchEvent(new HashChangeEvent('hashchange')); // same URL: not counted again
+
+    expect(pageviews()).toEqual([
+      start,
+      `${start}#pipeline-step-3`,
+      new URL('/dspy.rb/signatures/', start).href,
+      start,
+    ]);
+  });
+
+  test('teardown restores history.pushState', () => {
+    const pushState = window.history.pushState;
+    initAnalytics()();
+    expect(window.history.pushState).toBe(pushState);
+  });
+
+  test('the consent toggle saves the choice and stops events', () => {
+    document.body.innerHTML = `
+      <div data-analytics-consent hidden><label><input type="checkbox" data-analytics-toggle>Share</label></div>
+      <button type="button" data-track="Offline Download">Download</button>`;
+    teardowns.push(initAnalytics());
+    const toggle = document.querySelector('[data-analytics-toggle]');
+    expect(document.querySelector('[data-analytics-consent]').hidden).toBe(false);
+    expect(toggle.checked).toBe(true);
+
+    toggle.click();
+    expect(window.localStorage.getItem(CONSENT_KEY)).toBe('off');
+    document.querySelector('button').click();
+    expect(logged()).toEqual([]);
+  });
+
+  test('the consent toggle is locked off under Do Not Track', () => {
+    Object.defineProperty(navigator, 'doNotTrack', { configurable: true, value: '1' });
+    document.body.innerHTML = '<div data-analytics-consent hidden><input type="checkbox" data-analytics-toggle></div>';
+    teardowns.push(initAnalytics());
+    const toggle = document.querySelector('[data-analytics-toggle]');
+    expect(toggle.checked).toBe(false);
+    expect(toggle.disabled).toBe(true);
+  });
+
+  test('teardown removes the listener and hides the toggle', () => {
+    document.body.innerHTML = `
+      <div data-analytics-consent hidden><input type="checkbox" data-analytics-toggle></div>
+      <button type="button" data-track="Offline Download">Download</button>`;
+    initAnalytics()();
+    document.querySelector('button').click();
+    expect(logged()).toEqual([]);
+    expect(document.querySelector('[data-analytics-consent]').hidden).toBe(true);
+  });
+});
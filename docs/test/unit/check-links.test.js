@@ -0,0 +1,198 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  checkCards,
+  checkExits,
+  checkLinks,
+  checkURL,
+  indexSite,
+  locate,
+  pageIds,
+  pageReferences,
+  sourceFiles,
+  sourceLine,
+} from '../../scripts/check-links.js';
+
+const DOCS_DIR = path.join(import.meta.dir, '../..');
+
+// A built site in memory: [path relative to output/, file, html or null].
+const SITE = indexSite([
+  ['index.html', 'output/index.html', '<h1 id="top">DSPy.rb</h1>'],
+  ['getting-started/index.html', 'output/getting-started/index.html', '<h2 id="install">Install</h2><a name="legacy"></a>'],
+  ['404.html', 'output/404.html', '<h1>Not found</h1>'],
+  ['llms.txt', 'output/llms.txt', null],
+  ['images/og/default.png', 'output/images/og/default.png', null],
+]);
+
+const NAVIGATION = `sections:
+  - id: start
+    label: Start
+items:
+  - label: Getting started
+    url: /getting-started/
+    source: docs/src/getting-started/index.md
+    exits:
+      - label: Install
+        url: /getting-started/#install
+      - label: Signatures
+        url: /core-concepts/signatures/
+resources:
+  - label: llms.txt
+    url: /llms.txt
+    exits:
+      - label: Missing anchor
+        url: /getting-started/#nowhere
+`;
+
+describe('pageIds', () => {
+  test('collects ids and names, decoding entities', () => {
+    expect(pageIds('<h2 id="a&amp;b">x</h2><a name=\'old\'></a><p class="id">')).toEqual(new Set(['a&b', 'old']));
+  });
+});
+
+describe('pageReferences', () => {
+  test('collects hrefs, srcs and refresh targets with their lines', () => {
+    const html = '<a href="/dspy.rb/">Home</a>\n<img src="logo.png">\n<meta http-equiv="refresh" content="0; url=/dspy.rb/getting-started/">';
+    expect(pageReferences(html)).toEqual([
+      { line: 1, href: '/dspy.rb/' },
+      { line: 2, href: 'logo.png' },
+      { line: 3, href: '/dspy.rb/getting-started/' },
+    ]);
+  });
+
+  test('skips comments, inline scripts and preconnect hints', () => {
+    const html = '<!-- <a href="/gone/"> -->\n<script>const a = \'<a href="/gone/">\';</script>\n<link rel="preconnect" href="https://plausible.io">';
+    expect(pageReferences(html)).toEqual([]);
+  });
+});
+
+describe('checkURL', () => {
+  const check = (href, route = '/dspy.rb/') => checkURL(SITE, href, route);
+
+  test('accepts pages, files and fragments that exist', () => {
+    expect(check('/dspy.rb/')).toBeNull();
+    expect(check('/dspy.rb')).toBeNull();
+    expect(check('/dspy.rb/getting-started')).toBeNull();
+    expect(check('/dspy.rb/getting-started/#install')).toBeNull();
+    expect(check('/dspy.rb/getting-started/#legacy')).toBeNull();
+    expect(check('../images/og/default.png', '/dspy.rb/getting-started/')).toBeNull();
+    expect(check('#top')).toBeNull();
+    expect(check('https://oss.vicente.services/dspy.rb/llms.txt')).toBeNull();
+    expect(check('mailto:team@example.com')).toBeNull();
+  });
+
+  test('requires the base path on internal links', () => {
+    expect(check('/getting-started/')).toEqual({ level: 'error', message: 'root-relative documentation link is missing /dspy.rb' });
+  });
+
+  test('rejects missing routes and fragments', () => {
+    expect(check('/dspy.rb/signatures/').message).toBe('internal route or file does not exist: /dspy.rb/signatures/');
+    expect(check('/dspy.rb/getting-started/#usage')).toEqual({ level: 'error', message: 'fragment does not exist: #usage' });
+    expect(check('#install').level).toBe('error');
+  });
+
+  test('only warns about external URLs that look wrong', () => {
+    expect(check('https://github.com/vicentereig/dspy.rb')).toBeNull();
+    expect(check('http://example.com/')).toEqual({ level: 'warning', message: 'external URL uses http://' });
+    expect(check('https://intranet/').level).toBe('warning');
+  });
+});
+
+describe('source locations', () => {
+  test('sourceLine finds the href as written or without the base path', () => {
+    const markdown = 'Intro\n\nSee [install](/getting-started/#install).\n';
+    expect(sourceLine(markdown, '/dspy.rb/getting-started/#install')).toBe(3);
+    expect(sourceLine(markdown, '/dspy.rb/signatures/')).toBeNull();
+    expect(sourceLine('a\n/\n', '/dspy.rb/')).toBeNull();
+  });
+
+  test('sourceFiles maps routes to the navigation source, articles and src files', () => {
+    const existing = new Set([path.join(DOCS_DIR, 'src/_articles/hello.md'), path.join(DOCS_DIR, 'src/blog/index.md')]);
+    const sourceFor = sourceFiles(
+      { items: [{ url: '/getting-started/', source: 'docs/src/getting-started/index.md' }] },
+      (file) => existing.has(file),
+    );
+    expect(sourceFor('/dspy.rb/getting-started/')).toBe(path.join(DOCS_DIR, 'src/getting-started/index.md'));
+    expect(sourceFor('/dspy.rb/blog/articles/hello/')).toBe(path.join(DOCS_DIR, 'src/_articles/hello.md'));
+    expect(sourceFor('/dspy.rb/blog/')).toBe(path.join(DOCS_DIR, 'src/blog/index.md'));
+    expect(sourceFor('/dspy.rb/elsewhere/')).toBeNull();
+  });
+
+  test('locate points at the source line, or else the generated file', () => {
+    const sourceFor = (route) => (route === '/dspy.rb/getting-started/' ? path.join(DOCS_DIR, 'src/getting-started/index.md') : null);
+    const read = () => '---\ntitle: Start\n---\n[Next](/core-concepts/)\n';
+    const output = path.join(DOCS_DIR, 'output/getting-started/index.html');
+    expect(locate(sourceFor, '/dspy.rb/getting-started/', '/dspy.rb/core-concepts/', output, 40, read))
+      .toBe('src/getting-started/index.md:4');
+    expect(locate(sourceFor, '/dspy.rb/getting-started/', '/dspy.rb/gone/', output, 40, read))
+      .toBe('output/getting-started/index.html:40');
+    expect(locate(sourceFor, '/dspy.rb/', '/dspy.rb/gone/', path.join(DOCS_DIR, 'output/index.html'), 7, read))
+      .toBe('output/index.html:7');
+  });
+});
+
+describe('checkExits', () => {
+  test('reports broken exits with their manifest line', () => {
+    expect(checkExits(SITE, NAVIGATION)).toEqual([
+      { level: 'error', message: 'internal route or file does not exist: /dspy.rb/core-concepts/signatures/', href: '/core-concepts/signatures/', line: 12 },
+      { level: 'error', message: 'fragment does not exist: #nowhere', href: '/getting-started/#nowhere', line: 18 },
+    ]);
+  });
+});
+
+describe('checkCards', () => {
+  const card = (slug) => `<meta property="og:image" content="https://oss.vicente.services/dspy.rb/images/og/${slug}.png">`;
+  const site = (head) => indexSite([
+    ['getting-started/index.html', 'output/getting-started/index.html', `<head>\n${head}\n</head>`],
+    ['core-concepts/signatures/index.html', 'output/core-concepts/signatures/index.html', card('docs/core-concepts-signatures')],
+  ]);
+  const navigation = {
+    items: [
+      { url: '/getting-started/', status: 'published' },
+      { url: '/core-concepts/signatures/', status: 'published' },
+      { url: '/production/', status: 'planned' },
+    ],
+  };
+
+  test('accepts published docs pages that share their own card', () => {
+    expect(checkCards(site(card('docs/getting-started')), navigation)).toEqual([]);
+  });
+
+  test('reports pages left on the default card, or without one', () => {
+    expect(checkCards(site(card('default')), navigation)).toEqual([{
+      route: '/dspy.rb/getting-started/',
+      file: 'output/getting-started/index.html',
+      line: 2,
+      href: 'https://oss.vicente.services/dspy.rb/images/og/default.png',
+      message: "og:image is not the page's card https://oss.vicente.services/dspy.rb/images/og/docs/getting-started.png",
+    }]);
+    expect(checkCards(site(''), navigation)[0].message)
+      .toBe('og:image is missing; expected https://oss.vicente.services/dspy.rb/images/og/docs/getting-started.png');
+  });
+});
+
+describe('checkLinks', () => {
+  let outputDir;
+
+  afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  test('counts card mismatches apart from broken links', () => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-links-'));
+    fs.mkdirSync(path.join(outputDir, 'getting-started'));
+    fs.writeFileSync(path.join(outputDir, 'getting-started/index.html'), [
+      '<meta property="og:image" content="https://oss.vicente.services/dspy.rb/images/og/default.png">',
+      '<a href="/dspy.rb/getting-started/#nowhere">Nowhere</a>',
+    ].join('\n'));
+
+    const { errors, cards } = checkLinks(outputDir);
+    const page = path.relative(DOCS_DIR, path.join(outputDir, 'getting-started/index.html'));
+    expect(cards).toEqual([
+      `${page}:1: href="https://oss.vicente.services/dspy.rb/images/og/default.png": `
+        + "og:image is not the page's card https://oss.vicente.services/dspy.rb/images/og/docs/getting-started.png",
+    ]);
+    expect(errors.some((error) => error.includes('fragment does not exist: #nowhere'))).toBe(true);
+    expect(errors.some((error) => error.includes('og:image'))).toBe(false);
+  });
+});
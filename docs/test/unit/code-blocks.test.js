@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { initCodeBlocks } from '../../frontend/javascript/code-blocks.js';
+
+const MARKUP = `
+  <article class="prose">
+    <div class="language-ruby highlighter-rouge"><div class="highlight"><pre class="highlight"><code>puts 1
+</code></pre></div></div>
+    <div class="language-plaintext highlighter-rouge"><div class="highlight"><pre class="highlight" id="output"><code>1
+</code></pre></div></div>
+  </article>`;
+
+let teardowns = [];
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  document.body.innerHTML = '';
+});
+
+const buttons = (holder) => holder.querySelectorAll('.code-block-toolbar button');
+
+describe('initCodeBlocks', () => {
+  test('adds a language badge, wrap toggle and copy button to each block', () => {
+    document.body.innerHTML = MARKUP;
+    teardowns.push(initCodeBlocks());
+
+    const holders = document.querySelectorAll('div.highlight');
+    expect(Array.from(holders, (h) => h.querySelector('.code-block-language').textContent)).toEqual(['Ruby', 'Text']);
+    const [wrap] = buttons(holders[0]);
+    expect(wrap.getAttribute('aria-controls')).toBe('code-block-1');
+    expect(buttons(holders[1])[0].getAttribute('aria-controls')).toBe('output');
+
+    wrap.click();
+    expect(wrap.getAttribute('aria-pressed')).toBe('true');
+    expect(document.querySelector('pre').classList.contains('code-block-wrapped')).toBe(true);
+  });
+
+  test('does not enhance a block twice', () => {
+    document.body.innerHTML = MARKUP;
+    teardowns.push(initCodeBlocks(), initCodeBlocks());
+    expect(document.querySelectorAll('.code-block-toolbar')).toHaveLength(2);
+  });
+
+  test('teardown restores the markup it found', () => {
+    document.body.innerHTML = MARKUP;
+    const before = document.body.innerHTML;
+    const teardown = initCodeBlocks();
+    buttons(document.querySelector('div.highlight'))[0].click();
+    teardown();
+
+    expect(document.body.innerHTML).toBe(before);
+    expect(document.querySelector('[role="status"]')).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import {
+  autoplayInterval,
+  clamp,
+  initFilmstrip,
+  initFilmstrips,
+  nearestIndex,
+  pad,
+  stepFromHash,
+  stepHash,
+} from '../../frontend/javascript/filmstrip.js';
+
+// Generic data-filmstrip markup with no controls of its own; the agent
+// pipeline tests cover author-supplied controls under the data-agent-* names.
+function markup(steps = ['Propose', 'Search', 'Select'], key = '') {
+  return `
+  <div data-filmstrip${key ? `="${key}"` : ''}>
+    <ol data-filmstrip-track tabindex="0">
+      ${steps.map((step) => `<li data-filmstrip-panel><div data-filmstrip-head>${step}</div></li>`).join('')}
+    </ol>
+  </div>`;
+}
+
+const status = (root) => root.querySelector('.filmstrip-status').textContent;
+
+let teardowns = [];
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  document.body.innerHTML = '';
+  window.history.replaceState(null, '', '/dspy.rb/');
+});
+
+describe('helpers', () => {
+  test('clamp keeps an index inside the step range', () => {
+    expect(clamp(-1, 3)).toBe(0);
+    expect(clamp(1, 3)).toBe(1);
+    expect(clamp(7, 3)).toBe(2);
+  });
+
+  test('pad renders one-based, two-digit step numbers', () => {
+    expect(pad(0)).toBe('01');
+    expect(pad(9)).toBe('10');
+  });
+
+  test('stepFromHash reads one-based steps for the matching key only', () => {
+    expect(stepFromHash('#pipeline-step-3', 'pipeline')).toBe(2);
+    expect(stepFromHash('#pipeline-step-0', 'pipeline')).toBe(-1);
+    expect(stepFromHash('#pipeline-step-x', 'pipeline')).toBe(-1);
+    expect(stepFromHash('#pipeline-2-step-1', 'pipeline')).toBe(-1);
+    expect(stepFromHash('#tools-step-2', 'tools')).toBe(1);
+    expect(stepFromHash('', 'pipeline')).toBe(-1);
+    expect(stepHash('pipeline', 2)).toBe('#pipeline-step-3');
+  });
+
+  test('nearestIndex picks the offset closest to the scroll position', () => {
+    const offsets = [0, 600, 1200];
+    expect(nearestIndex(offsets, 0)).toBe(0);
+    expect(nearestIndex(offsets, 290)).toBe(0);
+    expect(nearestIndex(offsets, 310)).toBe(1);
+    expect(nearestIndex(offsets, 5000)).toBe(2);
+  });
+
+  test('autoplayInterval reads milliseconds with a default', () => {
+    expect(autoplayInterval(undefined)).toBeNull();
+    expect(autoplayInterval('')).toBe(6000);
+    expect(autoplayInterval('4000')).toBe(4000);
+    expect(autoplayInterval('soon')).toBe(6000);
+    expect(autoplayInterval('50')).toBe(6000);
+  });
+
+});
+
+describe('initFilmstrip', () => {
+  test('generates controls above the track when the markup has none', () => {
+    document.body.innerHTML = markup();
+    const root = document.querySelector('[data-filmstrip]');
+    teardowns.push(initFilmstrip(root));
+
+    const controls = root.firstElementChild;
+    expect(controls.className).toBe('filmstrip-controls');
+    expect(controls.nextElementSibling.hasAttribute('data-filmstrip-track')).toBe(true);
+    expect(controls.querySelectorAll('.filmstrip-dots button')).toHaveLength(3);
+    expect(status(root)).toBe('01 / 03');
+
+    const [prev, next] = controls.querySelectorAll('.filmstrip-arrow');
+    expect(prev.getAttribute('aria-label')).toBe('Previous step');
+    expect(prev.disabled).toBe(true);
+    next.click();
+    expect(status(root)).toBe('02 / 03');
+  });
+
+  test('keys steps by data-filmstrip and writes them to the URL', () => {
+    document.body.innerHTML = markup(undefined, 'miprov2');
+    const root = document.querySelector('[data-filmstrip]');
+    teardowns.push(initFilmstrip(root));
+
+    expect(root.querySelector('[data-filmstrip-panel]').id).toBe('miprov2-step-1');
+    root.querySelectorAll('.filmstrip-arrow')[1].click();
+    expect(window.location.hash).toBe('#miprov2-step-2');
+  });
+
+  test('leaves a single panel alone', () => {
+    document.body.innerHTML = markup(['Only']);
+    const root = document.querySelector('[data-filmstrip]');
+    teardowns.push(initFilmstrip(root));
+
+    expect(root.querySelector('.filmstrip-controls')).toBeNull();
+  });
+
+  test('teardown removes generated controls', () => {
+    document.body.innerHTML = markup();
+    const root = document.querySelector('[data-filmstrip]');
+    initFilmstrip(root)();
+
+    expect(root.querySelector('.filmstrip-controls')).toBeNull();
+    expect(root.querySelector('[data-filmstrip-panel]').hasAttribute('id')).toBe(false);
+  });
+
+  test('unkeyed filmstrips on one page get distinct keys', () => {
+    document.body.innerHTML = markup() + markup();
+    teardowns.push(initFilmstrips());
+    const [first, second] = document.querySelectorAll('[data-filmstrip]');
+
+    expect(first.querySelector('[data-filmstrip-panel]').id).toBe('filmstrip-step-1');
+    expect(second.querySelector('[data-filmstrip-panel]').id).toBe('filmstrip-2-step-1');
+  });
+});
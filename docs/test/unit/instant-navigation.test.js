@@ -0,0 +1,261 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import {
+  canSwap,
+  initInstantNavigation,
+  instantURL,
+  isDocsPath,
+  swapPage,
+  syncMarkers,
+} from '../../frontend/javascript/instant-navigation.js';
+
+const PAGES = {
+  '/dspy.rb/start/': { title: 'Start', section: 'start' },
+  '/dspy.rb/signatures/': { title: 'Signatures', section: 'concepts' },
+};
+
+function page(path, { layout = true } = {}) {
+  const { title, section } = PAGES[path];
+  const link = (href, label, group) => {
+    const current = href === path;
+    return `<a href="${href}" data-doc-path="${href}" class="${current ? 'font-semibold' : 'text-ink-3'}"${current ? ' aria-current="page"' : ''}>${label}</a>`
+      + `<button type="button" data-dropdown-toggle="desktop-${group}-menu"${section === group ? ' aria-current="location"' : ''}>${group}</button>`;
+  };
+  return `<!doctype html><html><head><title>${title} | DSPy.rb</title><meta name="description" content="About ${title}"></head>
+    <body${layout ? ' data-instant-navigation' : ''} data-doc-url="${path}">
+      <div data-doc-top-nav><a href="/dspy.rb/start/" data-doc-section="start">Start</a></div>
+      <nav data-doc-sidebar="desktop">
+        ${link('/dspy.rb/start/', 'Start', 'start')}
+        ${link('/dspy.rb/signatures/', 'Signatures', 'concepts')}
+      </nav>
+      ${layout ? `<div data-instant-swap><article><h1>${title}</h1><h2 id="usage">Usage</h2><a href="/dspy.rb/signatures/">Next</a></article></div>` : '<main>Other</main>'}
+    </body></html>`;
+}
+
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+function mount(path = '/dspy.rb/start/') {
+  window.history.replaceState(null, '', path);
+  const doc = parse(page(path));
+  document.title = doc.title;
+  document.head.innerHTML = '<meta name="description" content="">';
+  document.body.innerHTML = doc.body.innerHTML;
+  document.body.setAttribute('data-instant-navigation', '');
+  document.body.dataset.docUrl = path;
+}
+
+function link(href, attributes = '') {
+  const container = document.createElement('div');
+  container.innerHTML = `<a href="${href}" ${attributes}>link</a>`;
+  return container.firstChild;
+}
+
+const navigated = () => new Promise((resolve) => {
+  document.addEventListener('instantnavigation', (e) => resolve(e.detail.url), { once: true });
+});
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const originalFetch = globalThis.fetch;
+const originalAssign = window.location.assign;
+let requests;
+let served;
+let teardowns = [];
+
+beforeEach(() => {
+  requests = [];
+  served = (path) => page(path);
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    return new Response(served(url), { headers: { 'content-type': 'text/html; charset=utf-8' } });
+  };
+});
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  globalThis.fetch = originalFetch;
+  window.location.assign = originalAssign;
+  document.body.innerHTML = '';
+  document.body.removeAttribute('data-instant-navigation');
+  window.history.replaceState(null, '', '/dspy.rb/');
+});
+
+describe('instantURL', () => {
+  const location = new URL('http://localhost/dspy.rb/start/');
+
+  test('accepts links to other docs pages', () => {
+    mount();
+    expect(instantURL(link('/dspy.rb/start/installation/'), location)?.pathname).toBe('/dspy.rb/start/installation/');
+    expect(instantURL(link('/dspy.rb/signatures/#usage'), location)?.pathname).toBe('/dspy.rb/signatures/');
+    expect(instantURL(link('/dspy.rb/start/?tab=ruby'), location)?.search).toBe('?tab=ruby');
+  });
+
+  test('leaves other links to the browser', () => {
+    mount();
+    expect(instantURL(link('/dspy.rb/'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/blog/'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/blog/articles/hello/'), location)).toBeNull();
+    expect(instantURL(link('https://github.com/vicentereig/dspy.rb'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/start/#usage'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/llms.txt'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/signatures/', 'target="_blank"'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/signatures/', 'download'), location)).toBeNull();
+    expect(instantURL(link('/dspy.rb/signatures/', 'data-no-instant'), location)).toBeNull();
+  });
+});
+
+describe('isDocsPath', () => {
+  test('knows the sidebar pages and the top navigation sections', () => {
+    mount();
+    expect(isDocsPath('/dspy.rb/signatures/')).toBe(true);
+    expect(isDocsPath('/dspy.rb/start/first-module/')).toBe(true);
+    expect(isDocsPath('/dspy.rb/blog/')).toBe(false);
+    document.body.innerHTML = '';
+    expect(isDocsPath('/dspy.rb/signatures/')).toBe(false);
+  });
+});
+
+describe('swapPage', () => {
+  test('replaces the swap region, title and description and moves the current markers', () => {
+    mount();
+    const sidebar = document.querySelector('[data-doc-sidebar]');
+    const next = parse(page('/dspy.rb/signatures/'));
+    expect(canSwap(next)).toBe(true);
+
+    swapPage(next);
+    expect(document.querySelector('[data-instant-swap] h1').textContent).toBe('Signatures');
+    expect(document.title).toBe('Signatures | DSPy.rb');
+    expect(document.querySelector('meta[name="description"]').getAttribute('content')).toBe('About Signatures');
+    expect(document.body.dataset.docUrl).toBe('/dspy.rb/signatures/');
+    // The sidebar itself is kept; only its markers change.
+    expect(document.querySelector('[data-doc-sidebar]')).toBe(sidebar);
+    expect(sidebar.querySelector('[aria-current="page"]').textContent).toBe('Signatures');
+    expect(sidebar.querySelector('[data-doc-path="/dspy.rb/start/"]').className).toBe('text-ink-3');
+    expect(sidebar.querySelector('[aria-current="location"]').textContent).toBe('concepts');
+  });
+
+  test('syncMarkers leaves elements missing from the other page alone', () => {
+    mount();
+    const extra = link('/dspy.rb/extra/', 'data-doc-path="/dspy.rb/extra/" aria-current="page"');
+    document.querySelector('[data-doc-sidebar]').append(extra);
+    syncMarkers(parse(page('/dspy.rb/signatures/')));
+    expect(extra.getAttribute('aria-current')).toBe('page');
+  });
+
+  test('canSwap rejects pages on other layouts', () => {
+    mount();
+    expect(canSwap(parse(page('/dspy.rb/signatures/', { layout: false })))).toBe(false);
+  });
+});
+
+describe('initInstantNavigation', () => {
+  test('does nothing on layouts without data-instant-navigation', () => {
+    mount();
+    document.body.removeAttribute('data-instant-navigation');
+    teardowns.push(initInstantNavigation());
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+    document.querySelector('[data-instant-swap] a').dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(false);
+  });
+
+  test('swaps the page on click, between the hooks, and focuses its heading', async () => {
+    mount();
+    const calls = [];
+    teardowns.push(initInstantNavigation({
+      beforeSwap: () => calls.push(`before ${document.querySelector('h1').textContent} at ${window.location.pathname}`),
+      afterSwap: () => calls.push(`after ${document.querySelector('h1').textContent}`),
+    }));
+
+    const done = navigated();
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    document.querySelector('[data-instant-swap] a').dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(true);
+
+    expect(await done).toBe('http://localhost/dspy.rb/signatures/');
+    expect(window.location.pathname).toBe('/dspy.rb/signatures/');
+    expect(calls).toEqual(['before Start at /dspy.rb/start/', 'after Signatures']);
+    expect(document.activeElement).toBe(document.querySelector('[data-instant-swap] h1'));
+  });
+
+  test('leaves modified clicks to the browser', () => {
+    mount();
+    teardowns.push(initInstantNavigation());
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true, metaKey: true });
+    document.querySelector('[data-instant-swap] a').dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(false);
+  });
+
+  test('prefetches on touchstart and reuses the response', async () => {
+    mount();
+    teardowns.push(initInstantNavigation());
+    const target = document.querySelector('[data-instant-swap] a');
+    target.dispatchEvent(new Event('touchstart', { bubbles: true }));
+    expect(requests).toEqual(['/dspy.rb/signatures/']);
+
+    const done = navigated();
+    target.click();
+    await done;
+    expect(requests).toEqual(['/dspy.rb/signatures/']);
+  });
+
+  test('Back swaps the previous page in again', async () => {
+    mount();
+    teardowns.push(initInstantNavigation());
+    let done = navigated();
+    document.querySelector('[data-instant-swap] a').click();
+    await done;
+
+    done = navigated();
+    window.history.replaceState(window.history.state, '', '/dspy.rb/start/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await done;
+    expect(document.querySelector('[data-instant-swap] h1').textContent).toBe('Start');
+  });
+
+  test('Back then Forward returns to where each page was left', async () => {
+    mount();
+    teardowns.push(initInstantNavigation());
+    let done = navigated();
+    document.querySelector('[data-instant-swap] a').click();
+    await done;
+
+    window.scrollTo(0, 640);
+    window.dispatchEvent(new Event('scroll'));
+    await new Promise((resolve) => setTimeout(resolve, 200)); // past the save delay
+    const forward = { ...window.history.state };
+
+    done = navigated();
+    window.history.replaceState({ instantScrollY: 0 }, '', '/dspy.rb/start/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await done;
+    expect(window.scrollY).toBe(0);
+
+    done = navigated();
+    window.history.replaceState(forward, '', '/dspy.rb/signatures/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await done;
+    expect(forward.instantScrollY).toBe(640);
+    expect(window.scrollY).toBe(640);
+  });
+
+  test('falls back to a full page load for other layouts', async () => {
+    mount();
+    let assigned;
+    window.location.assign = (url) => { assigned = url; };
+    served = (path) => page(path, { layout: false });
+    teardowns.push(initInstantNavigation());
+
+    document.querySelector('[data-instant-swap] a').click();
+    await tick();
+    await tick();
+    expect(assigned).toBe('http://localhost/dspy.rb/signatures/');
+    expect(document.querySelector('[data-instant-swap] h1').textContent).toBe('Start');
+  });
+
+  test('teardown stops handling clicks', () => {
+    mount();
+    initInstantNavigation()();
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+    document.querySelector('[data-instant-swap] a').dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(false);
+  });
+});
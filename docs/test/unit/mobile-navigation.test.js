@@ -0,0 +1,253 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import {
+  SIDEBAR_STORAGE_KEY,
+  focusableElements,
+  initMobileNavigation,
+  initSidebarDropdowns,
+  revealScrollTop,
+  sectionKey,
+  trapTarget,
+} from '../../frontend/javascript/mobile-navigation.js';
+
+const MARKUP = `
+  <header>
+    <button type="button" id="mobile-menu-button" aria-controls="mobile-menu" aria-expanded="false"><svg></svg></button>
+  </header>
+  <div class="hidden" id="mobile-menu" role="dialog" aria-modal="true">
+    <div id="mobile-menu-backdrop"></div>
+    <div class="relative mr-16">
+      <button type="button" id="mobile-menu-close">Close</button>
+      <nav data-doc-sidebar="mobile">
+        <button type="button" aria-expanded="true" data-dropdown-toggle="mobile-start-menu"><svg class="rotate-90"></svg>Start</button>
+        <ul id="mobile-start-menu">
+          <li><a href="/getting-started/">Overview</a></li>
+          <li><a href="/getting-started/installation/" aria-current="page">Installation</a></li>
+        </ul>
+        <a href="/hidden/" hidden>Hidden</a>
+        <a href="/aria-hidden/" aria-hidden="true">Aria hidden</a>
+      </nav>
+    </div>
+  </div>`;
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const keydown = (key, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  document.activeElement.dispatchEvent(event);
+  return event;
+};
+
+let teardowns = [];
+function mount() {
+  document.body.innerHTML = MARKUP;
+  return {
+    button: document.getElementById('mobile-menu-button'),
+    menu: document.getElementById('mobile-menu'),
+    close: document.getElementById('mobile-menu-close'),
+  };
+}
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  document.body.innerHTML = '';
+  document.body.className = '';
+  window.localStorage.clear();
+});
+
+describe('focus helpers', () => {
+  test('focusableElements skips hidden and aria-hidden elements', () => {
+    const { menu } = mount();
+    expect(focusableElements(menu)).toEqual([]); // the closed menu is .hidden itself
+
+    menu.classList.remove('hidden');
+    const labels = focusableElements(menu).map((element) => element.textContent.trim());
+    expect(labels).toEqual(['Close', 'Start', 'Overview', 'Installation']);
+  });
+
+  test('trapTarget wraps at both ends and pulls stray focus back in', () => {
+    const [first, middle, last] = ['a', 'b', 'c'].map((id) => ({ id }));
+    const list = [first, middle, last];
+    expect(trapTarget(list, last, false)).toBe(first);
+    expect(trapTarget(list, first, true)).toBe(last);
+    expect(trapTarget(list, middle, false)).toBeNull();
+    expect(trapTarget(list, middle, true)).toBeNull();
+    expect(trapTarget(list, { id: 'outside' }, false)).toBe(first);
+    expect(trapTarget(list, { id: 'outside' }, true)).toBe(last);
+  });
+});
+
+describe('initMobileNavigation', () => {
+  test('opens the menu and focuses the close button', async () => {
+    const { button, menu, close } = mount();
+    teardowns.push(initMobileNavigation());
+
+    button.focus();
+    button.click();
+    expect(button.getAttribute('aria-expanded')).toBe('true');
+    expect(menu.classList.contains('hidden')).toBe(false);
+    expect(document.body.classList.contains('overflow-hidden')).toBe(true);
+
+    await nextFrame();
+    expect(menu.classList.contains('menu-open')).toBe(true);
+    expect(document.activeElement).toBe(close);
+  });
+
+  test('Tab from the last element wraps to the first', async () => {
+    const { button, menu, close } = mount();
+    teardowns.push(initMobileNavigation());
+    button.click();
+    await nextFrame();
+
+    const focusable = focusableElements(menu);
+    focusable[focusable.length - 1].focus();
+    expect(keydown('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(close);
+
+    expect(keydown('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(focusable[focusable.length - 1]);
+  });
+
+  test('Escape closes the menu and restores focus', async () => {
+    const { button, menu } = mount();
+    teardowns.push(initMobileNavigation());
+    button.focus();
+    button.click();
+    await nextFrame();
+
+    expect(keydown('Escape').defaultPrevented).toBe(true);
+    expect(button.getAttribute('aria-expanded')).toBe('false');
+
+    await wait(350);
+    expect(menu.classList.contains('hidden')).toBe(true);
+    expect(document.body.classList.contains('overflow-hidden')).toBe(false);
+    expect(document.activeElement).toBe(button);
+  });
+
+  test('closes without restoring focus after an instant navigation', async () => {
+    const { button, menu } = mount();
+    teardowns.push(initMobileNavigation());
+    button.focus();
+    button.click();
+    await nextFrame();
+
+    document.dispatchEvent(new CustomEvent('instantnavigation', { detail: { url: '/next/' } }));
+    expect(button.getAttribute('aria-expanded')).toBe('false');
+
+    await wait(350);
+    expect(menu.classList.contains('hidden')).toBe(true);
+    expect(document.activeElement).not.toBe(button);
+  });
+
+  test('ignores keys while the menu is closed', () => {
+    const { button } = mount();
+    teardowns.push(initMobileNavigation());
+    button.focus();
+    expect(keydown('Escape').defaultPrevented).toBe(false);
+    expect(keydown('Tab').defaultPrevented).toBe(false);
+  });
+
+  test('is scoped to its root element', () => {
+    mount();
+    const teardown = initMobileNavigation(document.createElement('div'));
+    document.getElementById('mobile-menu-button').click();
+    expect(document.getElementById('mobile-menu').classList.contains('hidden')).toBe(true);
+    teardown();
+  });
+
+  test('teardown closes the menu and detaches listeners', async () => {
+    const { button, menu } = mount();
+    const teardown = initMobileNavigation();
+    button.click();
+    await nextFrame();
+
+    teardown();
+    expect(menu.classList.contains('hidden')).toBe(true);
+    expect(button.getAttribute('aria-expanded')).toBe('false');
+    expect(document.body.classList.contains('overflow-hidden')).toBe(false);
+
+    button.click();
+    expect(menu.classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('initSidebarDropdowns', () => {
+  // Both sidebars, as docs.liquid renders them; "start" holds the current page.
+  const SIDEBARS = ['desktop', 'mobile'].map((prefix) => `
+    <nav data-doc-sidebar="${prefix}">
+      <button type="button" aria-expanded="true" data-dropdown-toggle="${prefix}-start-menu" aria-current="location"><svg class="rotate-90"></svg>Start</button>
+      <ul id="${prefix}-start-menu"><li><a href="/getting-started/installation/" aria-current="page">Installation</a></li></ul>
+      <button type="button" aria-expanded="true" data-dropdown-toggle="${prefix}-optimize-menu"><svg class="rotate-90"></svg>Optimize</button>
+      <ul id="${prefix}-optimize-menu"><li><a href="/optimization/">Optimization</a></li></ul>
+    </nav>`).join('');
+
+  const toggle = (prefix, section) => document.querySelector(`[data-dropdown-toggle="${prefix}-${section}-menu"]`);
+  const expanded = (prefix, section) => toggle(prefix, section).getAttribute('aria-expanded') === 'true';
+
+  test('toggles aria-expanded, the chevron and the section list', () => {
+    mount();
+    teardowns.push(initSidebarDropdowns());
+    const toggle = document.querySelector('[data-dropdown-toggle]');
+    const list = document.getElementById('mobile-start-menu');
+
+    toggle.click();
+    expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    expect(toggle.querySelector('svg').classList.contains('rotate-90')).toBe(false);
+    expect(list.classList.contains('hidden')).toBe(true);
+
+    toggle.click();
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    expect(list.classList.contains('hidden')).toBe(false);
+  });
+
+  test('sectionKey drops the sidebar prefix', () => {
+    document.body.innerHTML = SIDEBARS;
+    expect(sectionKey(toggle('desktop', 'optimize'))).toBe('optimize');
+    expect(sectionKey(toggle('mobile', 'optimize'))).toBe('optimize');
+  });
+
+  test('a toggle in one sidebar collapses the section in both and saves it', () => {
+    document.body.innerHTML = SIDEBARS;
+    teardowns.push(initSidebarDropdowns());
+
+    toggle('desktop', 'optimize').click();
+    expect(expanded('desktop', 'optimize')).toBe(false);
+    expect(expanded('mobile', 'optimize')).toBe(false);
+    expect(document.getElementById('mobile-optimize-menu').classList.contains('hidden')).toBe(true);
+    expect(JSON.parse(window.localStorage.getItem(SIDEBAR_STORAGE_KEY))).toEqual(['optimize']);
+  });
+
+  test('restores saved sections but always opens the current one', () => {
+    window.localStorage.setItem(SIDEBAR_STORAGE_KEY, JSON.stringify(['optimize', 'start']));
+    document.body.innerHTML = SIDEBARS;
+    teardowns.push(initSidebarDropdowns());
+
+    expect(expanded('desktop', 'optimize')).toBe(false);
+    expect(expanded('mobile', 'optimize')).toBe(false);
+    expect(expanded('desktop', 'start')).toBe(true);
+    expect(document.getElementById('desktop-start-menu').classList.contains('hidden')).toBe(false);
+  });
+
+  test('ignores unreadable saved state', () => {
+    window.localStorage.setItem(SIDEBAR_STORAGE_KEY, '{not json');
+    document.body.innerHTML = SIDEBARS;
+    teardowns.push(initSidebarDropdowns());
+    expect(expanded('desktop', 'optimize')).toBe(true);
+  });
+
+  test('revealScrollTop centers links outside the visible range', () => {
+    expect(revealScrollTop(100, 40, 0, 400)).toBeNull();
+    expect(revealScrollTop(900, 40, 0, 400)).toBe(720);
+    expect(revealScrollTop(20, 40, 300, 400)).toBe(0);
+  });
+
+  test('teardown detaches the toggles', () => {
+    mount();
+    const teardown = initSidebarDropdowns();
+    teardown();
+
+    const toggle = document.querySelector('[data-dropdown-toggle]');
+    toggle.click();
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+  });
+});
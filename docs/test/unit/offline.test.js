@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { initOfflineStatus, offlineStatusText } from '../../frontend/javascript/offline.js';
+
+const MARKUP = `
+  <div data-offline-status hidden class="offline-status">
+    <p data-offline-status-text role="status"></p>
+    <button type="button" data-offline-download>Download all docs</button>
+  </div>`;
+
+// Stands in for navigator.serviceWorker: answers status requests from
+// `saved` and walks a download through every doc.
+function fakeServiceWorker({ docs, saved, controlled = true }) {
+  const container = new EventTarget();
+  const worker = {
+    messages: [],
+    postMessage(message, [port]) {
+      this.messages.push(message);
+      const status = (type) => ({
+        type,
+        page: docs.includes(message.url) ? saved.has(message.url) : null,
+        saved: saved.size,
+        total: docs.length,
+      });
+      if (message.type === 'status') {
+        port.postMessage(status('status'));
+      } else if (message.type === 'download-docs') {
+        docs.forEach((doc, i) => {
+          saved.add(doc);
+          port.postMessage({ type: 'progress', done: i + 1, total: docs.length });
+        });
+        port.postMessage({ ...status('downloaded'), failed: 0 });
+      }
+    },
+  };
+  container.controller = controlled ? worker : null;
+  container.worker = worker;
+  return container;
+}
+
+const DOCS = ['/dspy.rb/getting-started/', '/dspy.rb/core-concepts/signatures/'];
+const wait = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+const text = () => document.querySelector('[data-offline-status-text]').textContent;
+const container = () => document.querySelector('[data-offline-status]');
+
+let teardowns = [];
+
+function mount(serviceWorker) {
+  document.body.innerHTML = MARKUP;
+  Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: serviceWorker });
+  teardowns.push(initOfflineStatus());
+}
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/dspy.rb/getting-started/');
+});
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  delete navigator.serviceWorker;
+  document.body.innerHTML = '';
+  window.history.replaceState(null, '', '/dspy.rb/');
+});
+
+describe('offlineStatusText', () => {
+  const base = { online: true, page: false, saved: 0, total: 2, progress: null };
+
+  test('describes the current page and the saved docs', () => {
+    expect(offlineStatusText(base)).toBe('This page is not saved for offline reading');
+    expect(offlineStatusText({ ...base, page: true, saved: 1 })).toBe('This page is available offline');
+    expect(offlineStatusText({ ...base, page: true, saved: 2 })).toBe('All docs available offline');
+    expect(offlineStatusText({ ...base, page: null, saved: 1 })).toBe('1 of 2 docs saved for offline reading');
+  });
+
+  test('puts a running download and a lost connection first', () => {
+    expect(offlineStatusText({ ...base, progress: { done: 1, total: 2 } })).toBe('Saving docs for offline reading… 1 of 2');
+    expect(offlineStatusText({ ...base, online: false, page: true })).toBe('Offline — reading the saved copy');
+    expect(offlineStatusText({ ...base, online: false })).toBe('Offline');
+  });
+});
+
+describe('initOfflineStatus', () => {
+  test('stays hidden until a service worker controls the page', async () => {
+    mount(fakeServiceWorker({ docs: DOCS, saved: new Set(), controlled: false }));
+    await wait();
+    expect(container().hidden).toBe(true);
+  });
+
+  test('shows whether the current page is saved', async () => {
+    const serviceWorker = fakeServiceWorker({ docs: DOCS, saved: new Set([DOCS[0]]) });
+    mount(serviceWorker);
+    await wait();
+    expect(container().hidden).toBe(false);
+    expect(container().dataset.offlineState).toBe('saved');
+    expect(text()).toBe('This page is available offline');
+    expect(serviceWorker.worker.messages).toEqual([{ type: 'status', url: DOCS[0] }]);
+  });
+
+  test('downloads every doc and reports progress', async () => {
+    const serviceWorker = fakeServiceWorker({ docs: DOCS, saved: new Set() });
+    mount(serviceWorker);
+    await wait();
+    expect(text()).toBe('This page is not saved for offline reading');
+
+    const button = document.querySelector('[data-offline-download]');
+    button.click();
+    expect(button.disabled).toBe(true);
+    await wait();
+    expect(text()).toBe('All docs available offline');
+    expect(button.disabled).toBe(false);
+    expect(button.textContent).toBe('Update offline docs');
+  });
+
+  test('follows the connection and instant navigation', async () => {
+    const serviceWorker = fakeServiceWorker({ docs: DOCS, saved: new Set([DOCS[1]]) });
+    mount(serviceWorker);
+    await wait();
+
+    window.history.pushState(null, '', DOCS[1]);
+    document.dispatchEvent(new CustomEvent('instantnavigation', { detail: { url: DOCS[1] } }));
+    await wait();
+    expect(text()).toBe('This page is available offline');
+
+    Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+    window.dispatchEvent(new Event('offline'));
+    expect(text()).toBe('Offline — reading the saved copy');
+    expect(document.querySelector('[data-offline-download]').disabled).toBe(true);
+    delete navigator.onLine;
+  });
+
+  test('teardown hides the indicator', async () => {
+    mount(fakeServiceWorker({ docs: DOCS, saved: new Set() }));
+    await wait();
+    teardowns.pop()();
+    expect(container().hidden).toBe(true);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, expect, spyOn, test } from 'bun:test';
+import {
+  docSlug,
+  extractFrontmatter,
+  getCategory,
+  jobHash,
+  loadAuthors,
+  normalizeName,
+  parseDate,
+  resolveAuthor,
+  validateArticle,
+} from '../../scripts/generate-og-images.js';
+import { escapeHTML } from '../../scripts/og-templates/base.js';
+import { fitText } from '../../scripts/og-templates/fit.js';
+import { templates } from '../../scripts/og-templates/index.js';
+
+const title = 'T::Array[String] & <x>';
+const article = (frontmatter) => `---\n${frontmatter}\n---\n\nBody text.\n`;
+
+describe('extractFrontmatter', () => {
+  test('reads YAML, so colons in quoted titles survive', () => {
+    expect(extractFrontmatter(article('title: "CodeAct: Dynamic Code Generation"\ndate: 2025-07-11')))
+      .toEqual({ title: 'CodeAct: Dynamic Code Generation', date: '2025-07-11' });
+  });
+
+  test('returns null without frontmatter and throws on malformed YAML', () => {
+    expect(extractFrontmatter('# Just a heading\n')).toBeNull();
+    expect(() => extractFrontmatter(article('title: [unclosed'))).toThrow();
+  });
+
+  test('reads block-list categories', () => {
+    const frontmatter = extractFrontmatter(article('title: Agents\ncategories:\n  - patterns\n  - agents'));
+    expect(frontmatter.categories).toEqual(['patterns', 'agents']);
+    expect(getCategory(frontmatter)).toBe('Patterns');
+    expect(getCategory({ categories: 'tutorials, agents' })).toBe('Tutorials');
+    expect(getCategory({ category: 'Release' })).toBe('Release');
+    expect(getCategory({})).toBe('Article');
+  });
+});
+
+describe('parseDate', () => {
+  test('reads Bridgetown dates as UTC', () => {
+    expect(parseDate('2025-06-28')?.toISOString()).toBe('2025-06-28T00:00:00.000Z');
+    expect(parseDate('2025-06-28 00:00:00 +0000')?.toISOString()).toBe('2025-06-28T00:00:00.000Z');
+    expect(parseDate('2025-06-28 09:30 +0200')?.toISOString()).toBe('2025-06-28T07:30:00.000Z');
+    expect(parseDate('2024-02-29')?.toISOString()).toBe('2024-02-29T00:00:00.000Z');
+  });
+
+  test('rejects missing, malformed and impossible dates', () => {
+    expect(parseDate(undefined)).toBeNull();
+    expect(parseDate('')).toBeNull();
+    expect(parseDate('June 28, 2025')).toBeNull();
+    expect(parseDate('2025-02-30')).toBeNull();
+    expect(parseDate('2025-13-01')).toBeNull();
+  });
+});
+
+describe('validateArticle', () => {
+  const valid = { title: 'Typed Action Results', description: 'Union types.', date: '2025-08-02' };
+
+  test('accepts an article with title, description and a real date', () => {
+    expect(validateArticle(valid)).toEqual([]);
+    expect(validateArticle({ ...valid, author: undefined })).toEqual([]);
+  });
+
+  test('lists every problem', () => {
+    expect(validateArticle({})).toEqual(['missing `title`', 'missing `description`', 'missing `date`']);
+    expect(validateArticle({ ...valid, date: '2025-02-30' })).toEqual(['unparseable `date` ("2025-02-30")']);
+    expect(validateArticle({ ...valid, title: '   ' })).toEqual(['missing `title`']);
+  });
+});
+
+describe('jobs', () => {
+  test('docSlug flattens a docs URL into a card name', () => {
+    expect(docSlug('/core-concepts/signatures/')).toBe('docs/core-concepts-signatures');
+    expect(docSlug('/getting-started/')).toBe('docs/getting-started');
+  });
+
+  test('jobHash changes with the card data and the template', () => {
+    const job = { slug: 'docs/start', template: 'doc', data: { title: 'Start' } };
+    expect(jobHash(job)).toBe(jobHash({ ...job }));
+    expect(jobHash(job)).not.toBe(jobHash({ ...job, data: { title: 'Begin' } }));
+    expect(jobHash(job)).not.toBe(jobHash({ ...job, template: 'section' }));
+    // Articles hash their source, so the rendered card data can't hide a change.
+    expect(jobHash({ ...job, source: { a: 1 } })).not.toBe(jobHash({ ...job, source: { a: 2 } }));
+  });
+});
+
+describe('card text', () => {
+  test('escapeHTML keeps frontmatter text literal', () => {
+    expect(escapeHTML(title)).toBe('T::Array[String] &amp; &lt;x&gt;');
+    expect(escapeHTML(`"quoted" 'single'`)).toBe('&quot;quoted&quot; &#39;single&#39;');
+    expect(escapeHTML(42)).toBe('42');
+  });
+
+  test('the article template escapes every field', () => {
+    const html = templates.article.render({
+      title,
+      description: 'Uses <b>bold</b>',
+      category: 'Types & Schemas',
+      date: 'August 2, 2025',
+      author: { name: 'Ada <Guest>', initials: 'AG', avatar: null, accent: null, guest: true },
+    });
+    expect(html).toContain('T::Array[String] &amp; &lt;x&gt;</h1>');
+    expect(html).toContain('Uses &lt;b&gt;bold&lt;/b&gt;');
+    expect(html).toContain('Types &amp; Schemas');
+    expect(html).toContain('Ada &lt;Guest&gt;');
+    expect(html).not.toContain('<x>');
+  });
+});
+
+describe('fitText', () => {
+  // happy-dom has no layout: an element's height is its line count times a
+  // 20px line height, with lines decided by its font size.
+  function fit(html, linesAt) {
+    document.body.innerHTML = html;
+    document.querySelectorAll('[data-fit-max]').forEach((el) => {
+      el.style.lineHeight = '20px';
+      el.getBoundingClientRect = () => ({ height: linesAt(parseFloat(el.style.fontSize)) * 20 });
+    });
+    return fitText();
+  }
+
+  test('shrinks text until it fits', () => {
+    const report = fit('<h1 class="title" data-fit-max="72" data-fit-min="44" data-fit-lines="2">Title</h1>', (size) => (size > 60 ? 3 : 2));
+    expect(report).toEqual({ overflows: [], clamped: [] });
+    expect(document.querySelector('h1').style.fontSize).toBe('60px');
+  });
+
+  test('reports what still overflows at the smallest size, and clamps where allowed', () => {
+    const report = fit(`
+      <h1 class="title" data-fit-max="72" data-fit-min="44" data-fit-lines="3">${escapeHTML(title)}</h1>
+      <p class="description" data-fit-max="28" data-fit-min="22" data-fit-lines="3" data-fit-clamp>Long</p>`, () => 5);
+    expect(report).toEqual({
+      overflows: [{ element: 'title', text: title, lines: 5, maxLines: 3, size: 44 }],
+      clamped: [{ element: 'description', text: 'Long', lines: 5, maxLines: 3, size: 22 }],
+    });
+    expect(document.querySelector('p').style.overflow).toBe('hidden');
+  });
+});
+
+describe('authors', () => {
+  test('normalizeName ignores accents, case and spacing', () => {
+    expect(normalizeName('  Vicente  Reig Rincón de Arellano ')).toBe('vicente reig rincon de arellano');
+  });
+
+  test('every spelling in authors.yml resolves to one author', () => {
+    const authors = loadAuthors();
+    const names = ['Vicente Reig', 'Vicente Reig Rincón de Arellano', 'Vicente Reig Rincon de Arellano', 'vicente reig']
+      .map((name) => resolveAuthor(name, authors, 'article.md'));
+    names.forEach((author) => expect(author).toEqual(names[0]));
+    expect(names[0]).toMatchObject({ name: 'Vicente Reig', initials: 'VR', guest: false });
+  });
+
+  test('an unknown byline becomes a guest, with a warning', () => {
+    const warn = spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(resolveAuthor('Ada Lovelace', new Map(), 'src/_articles/engines.md')).toEqual({
+        name: 'Ada Lovelace', initials: 'AL', avatar: null, accent: null, guest: true,
+      });
+      expect(warn.mock.calls[0][0]).toBe('src/_articles/engines.md: "Ada Lovelace" is not in src/_data/authors.yml; rendering as a guest author.');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
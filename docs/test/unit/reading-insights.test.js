@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from 'bun:test';
+import { dwellBucket, initReadingInsights, scrollDepth } from '../../frontend/javascript/reading-insights.js';
+
+const MARKUP = `
+  <div data-page-section="understand" data-page-traversal="novice">
+    <article class="prose">
+      <h1>Signatures</h1>
+      <h2 id="define">Define a signature</h2>
+      <p>…</p>
+      <h2 id="use">Use it</h2>
+      <p>…</p>
+    </article>
+  </div>`;
+
+// happy-dom has no layout: place the article and headings by hand.
+function layout({ articleTop, articleHeight = 2000, headings = {} }) {
+  document.querySelector('article').getBoundingClientRect = () => ({ top: articleTop, height: articleHeight });
+  document.querySelectorAll('h2').forEach((h2) => {
+    h2.getBoundingClientRect = () => ({ top: headings[h2.id] ?? 5000 });
+  });
+}
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+const scroll = async () => {
+  window.dispatchEvent(new Event('scroll'));
+  await nextFrame();
+};
+
+let info;
+let now;
+let clock;
+let teardowns = [];
+
+beforeEach(() => {
+  info = spyOn(console, 'info').mockImplementation(() => {});
+  clock = 0;
+  now = spyOn(performance, 'now').mockImplementation(() => clock);
+  Object.defineProperty(window, 'innerHeight', { configurable: true, value: 800 });
+  document.body.innerHTML = MARKUP;
+});
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  info.mockRestore();
+  now.mockRestore();
+  delete window.innerHeight;
+  document.body.innerHTML = '';
+});
+
+const events = (name) => info.mock.calls.filter(([prefix, event]) => prefix === '[analytics]' && event === name).map(([, , props]) => props);
+
+describe('helpers', () => {
+  test('scrollDepth measures the article against the bottom of the viewport', () => {
+    expect(scrollDepth(0, 2000, 800)).toBe(40);
+    expect(scrollDepth(-1200, 2000, 800)).toBe(100);
+    expect(scrollDepth(900, 2000, 800)).toBe(0);
+    expect(scrollDepth(0, 0, 800)).toBe(100);
+  });
+
+  test('dwellBucket reports ranges', () => {
+    expect(dwellBucket(5000)).toBe('5-15s');
+    expect(dwellBucket(45000)).toBe('30-60s');
+    expect(dwellBucket(600000)).toBe('3m+');
+  });
+});
+
+describe('initReadingInsights', () => {
+  test('sends each scroll-depth milestone once, with the navigation context', async () => {
+    layout({ articleTop: 0 });
+    teardowns.push(initReadingInsights());
+    await scroll();
+    expect(events('Scroll Depth')).toEqual([{ section: 'understand', traversal: 'novice', depth: '25%' }]);
+
+    layout({ articleTop: -1200 });
+    await scroll();
+    await scroll();
+    expect(events('Scroll Depth').map(({ depth }) => depth)).toEqual(['25%', '50%', '75%', '100%']);
+  });
+
+  test('counts no depth before the first scroll, even when the article fits the screen', async () => {
+    layout({ articleTop: 100, articleHeight: 500 });
+    teardowns.push(initReadingInsights());
+    expect(events('Scroll Depth')).toEqual([]);
+
+    await scroll();
+    expect(events('Scroll Depth').map(({ depth }) => depth)).toEqual(['25%', '50%', '75%', '100%']);
+  });
+
+  test('sends the time spent in each h2 section when the page is left', async () => {
+    layout({ articleTop: 0, headings: { define: 60 } });
+    const teardown = initReadingInsights();
+
+    clock = 20000;
+    layout({ articleTop: -600, headings: { define: -500, use: 40 } });
+    await scroll();
+    clock = 22000; // a skim: under the five-second threshold
+    teardown();
+
+    expect(events('Section Dwell')).toEqual([
+      { section: 'understand', traversal: 'novice', heading: 'define', duration: '15-30s' },
+    ]);
+  });
+
+  test('stops counting while the tab is hidden', async () => {
+    layout({ articleTop: 0, headings: { define: 60 } });
+    teardowns.push(initReadingInsights());
+
+    clock = 8000;
+    Object.defineProperty(document, 'visibilityState', { configurable: true, value: 'hidden' });
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(events('Section Dwell')).toEqual([
+      { section: 'understand', traversal: 'novice', heading: 'define', duration: '5-15s' },
+    ]);
+
+    clock = 100000;
+    delete document.visibilityState;
+    document.dispatchEvent(new Event('visibilitychange'));
+    clock = 102000;
+    teardowns.pop()();
+    expect(events('Section Dwell')).toHaveLength(1);
+  });
+});
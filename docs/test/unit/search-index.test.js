@@ -0,0 +1,95 @@
+import { describe, expect, test } from 'bun:test';
+import { documentFor, headingId, navigationIndex, parseBody, plainText } from '../../scripts/generate-search-index.js';
+
+const NAVIGATION = navigationIndex({
+  base_path: '/dspy.rb/',
+  sections: [{ id: 'core', label: 'Core Concepts' }],
+  items: [
+    { label: 'Modules', url: '/core-concepts/modules/', section: 'core', status: 'published', source: 'docs/src/core-concepts/modules.md' },
+    { label: 'Production', url: '/production/', section: 'core', status: 'planned', source: 'docs/src/production/index.md' },
+  ],
+});
+
+describe('headingId', () => {
+  test('follows kramdown: lowercase, drop punctuation, hyphenate spaces', () => {
+    expect(headingId('Using DSPy::ReAct (v2)!', new Map())).toBe('using-dspyreact-v2');
+    expect(headingId('max_iterations & co', new Map())).toBe('max_iterations--co');
+  });
+
+  test('suffixes repeated headings with -1, -2', () => {
+    const seen = new Map();
+    expect(['Example', 'Example', 'Example'].map((text) => headingId(text, seen))).toEqual(['example', 'example-1', 'example-2']);
+  });
+});
+
+describe('plainText', () => {
+  test('keeps the text a reader sees', () => {
+    expect(plainText('See [**ReAct**](/react/) and `T::Array` &amp; {{ site.title }}')).toBe('See ReAct and T::Array &');
+  });
+});
+
+describe('parseBody', () => {
+  test('numbers duplicate headings across levels, and an explicit id wins', () => {
+    const { headings } = parseBody([
+      '# Modules',
+      '## Example',
+      '#### Example',
+      '### Example',
+      '## Configuration {#setup}',
+      '## Example',
+    ].join('\n'));
+    expect(headings).toEqual([
+      ['example', 'Example'],
+      ['example-2', 'Example'],
+      ['setup', 'Configuration'],
+      ['example-3', 'Example'],
+    ]);
+  });
+
+  test('splits text into sections, folding h4 and deeper into their parent', () => {
+    const { sections, title } = parseBody('# Modules\nIntro.\n## Usage\nCall it.\n#### Details\nMore.\n');
+    expect(title).toBe('Modules');
+    expect(sections).toEqual(['Intro.', 'Call it. Details More.']);
+  });
+
+  test('ignores headings inside fences but keeps their code as section text', () => {
+    const { headings, sections } = parseBody('## Usage\n```ruby\n# not a heading\nagent.call\n```\n');
+    expect(headings).toEqual([['usage', 'Usage']]);
+    expect(sections[1]).toBe('# not a heading agent.call');
+  });
+
+  test('picks up constant paths, class names and inline identifiers', () => {
+    const { identifiers } = parseBody([
+      'Use `DSPy::ReAct` with `max_iterations`, not `a phrase`.',
+      '```ruby',
+      'class ResearchAgent < DSPy::Module',
+      '  sig = T::Array[String]',
+      '```',
+    ].join('\n'));
+    expect(identifiers).toEqual(['DSPy::ReAct', 'max_iterations', 'DSPy::Module', 'ResearchAgent', 'T::Array']);
+  });
+});
+
+describe('documentFor', () => {
+  test('indexes a published navigation item under its section', () => {
+    const doc = documentFor('core-concepts/modules.md', '---\ntitle: Modules\ndescription: Compose programs.\n---\n## Usage\nCall it.\n', NAVIGATION);
+    expect(doc).toMatchObject({
+      url: '/dspy.rb/core-concepts/modules/',
+      title: 'Modules',
+      section: 'Core Concepts',
+      excerpt: 'Compose programs.',
+      headings: [['usage', 'Usage']],
+    });
+  });
+
+  test('indexes articles under the blog', () => {
+    expect(documentFor('_articles/typed-results.md', '---\ntitle: Typed Results\n---\nBody.\n', NAVIGATION))
+      .toMatchObject({ url: '/dspy.rb/blog/articles/typed-results/', section: 'Blog', excerpt: 'Body.' });
+  });
+
+  test('leaves out unpublished items, pages outside the navigation and unpublished articles', () => {
+    expect(documentFor('production/index.md', '# Production\n', NAVIGATION)).toBeNull();
+    expect(documentFor('scratch/notes.md', '# Notes\n', NAVIGATION)).toBeNull();
+    expect(documentFor('_articles/draft.md', '---\ntitle: Draft\npublished: false\n---\n', NAVIGATION)).toBeNull();
+  });
+});
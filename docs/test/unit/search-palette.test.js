@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, spyOn, test } from 'bun:test';
+import { addSections, initSearchPalette, rank, score, searchDocument, terms } from '../../frontend/javascript/search-palette.js';
+
+// Manifest entries as scripts/generate-search-index.js writes them.
+const MANIFEST = {
+  v: 1,
+  shards: [],
+  docs: [
+    { u: '/dspy.rb/core-concepts/modules/', t: 'Modules', s: 'Core Concepts', e: 'Compose programs.', h: [['predictors', 'Predictors'], ['agents', 'Agents']], c: ['DSPy::Module', 'DSPy::ReAct'], p: 0 },
+    { u: '/dspy.rb/advanced/react/', t: 'ReAct Agents', s: 'Advanced', e: 'Tool-using agents.', h: [['tools', 'Tools'], ['max-iterations', 'Max iterations']], c: ['max_iterations'], p: 0 },
+    { u: '/dspy.rb/blog/articles/toolsets/', t: 'Toolsets', s: 'Blog', e: 'Group tools.', h: [['react-agents', 'ReAct agents']], c: [], p: 0 },
+  ],
+};
+
+const documents = () => MANIFEST.docs.map(searchDocument);
+const urls = (results) => results.map(({ doc }) => doc.url);
+
+describe('ranking', () => {
+  test('terms lowercases and splits on whitespace', () => {
+    expect(terms('  DSPy::ReAct   Agents ')).toEqual(['dspy::react', 'agents']);
+  });
+
+  test('a title hit outranks an identifier, which outranks a heading', () => {
+    expect(urls(rank(documents(), terms('react')))).toEqual([
+      '/dspy.rb/advanced/react/',
+      '/dspy.rb/core-concepts/modules/',
+      '/dspy.rb/blog/articles/toolsets/',
+    ]);
+  });
+
+  test('every term must appear in the document', () => {
+    expect(urls(rank(documents(), terms('react max_iterations')))).toEqual(['/dspy.rb/advanced/react/']);
+    expect(rank(documents(), terms('react nowhere'))).toEqual([]);
+  });
+
+  test('deep-links to the heading covering the most terms', () => {
+    const [doc] = documents();
+    expect(score(doc, terms('agents')).heading).toMatchObject({ id: 'agents' });
+    expect(score(doc, terms('modules')).heading).toBeNull();
+  });
+
+  test('body text counts once the shard arrives, and picks the section and excerpt', () => {
+    const [doc] = documents();
+    expect(score(doc, terms('chain'))).toBeNull();
+    addSections(doc, ['Modules compose.', 'Predict with a chain of thought.', 'Agents loop.']);
+    expect(score(doc, terms('chain'))).toMatchObject({
+      heading: { id: 'predictors' },
+      excerpt: 'Predict with a chain of thought.',
+      total: 1,
+    });
+  });
+});
+
+describe('initSearchPalette', () => {
+  let teardown = () => {};
+  let fetch;
+
+  function setUp() {
+    document.head.innerHTML = '<meta name="search-index" content="/dspy.rb/search/manifest.json">';
+    document.body.innerHTML = '<button type="button" data-search-open hidden>Search</button>';
+    fetch = spyOn(globalThis, 'fetch').mockImplementation(() => Promise.resolve(new Response(JSON.stringify(MANIFEST))));
+    teardown = initSearchPalette();
+    return document.querySelector('.search-palette');
+  }
+
+  const press = (key, init = {}) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...init }));
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  afterEach(() => {
+    teardown();
+    teardown = () => {};
+    fetch?.mockRestore();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  test('does nothing without a search index', () => {
+    teardown = initSearchPalette();
+    expect(document.querySelector('.search-palette')).toBeNull();
+  });
+
+  test('Cmd+K opens the palette and typing lists results', async () => {
+    const palette = setUp();
+    expect(document.querySelector('[data-search-open]').hidden).toBe(false);
+
+    press('k', { metaKey: true });
+    expect(palette.hidden).toBe(false);
+    const input = palette.querySelector('input');
+    input.value = 'iterations';
+    input.dispatchEvent(new Event('input'));
+    await settle();
+
+    const links = palette.querySelectorAll('[role="option"] a');
+    expect(Array.from(links, (a) => a.getAttribute('href'))).toEqual(['/dspy.rb/advanced/react/#max-iterations']);
+    expect(palette.querySelector('.search-palette-status').textContent).toBe('1 result');
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(palette.hidden).toBe(true);
+  });
+
+  test('ignores keydown events without a key', () => {
+    const palette = setUp();
+    expect(() => document.dispatchEvent(new Event('keydown'))).not.toThrow();
+    expect(palette.hidden).toBe(true);
+  });
+
+  test('teardown removes the palette and its shortcuts', () => {
+    setUp();
+    teardown();
+    teardown = () => {};
+    expect(document.querySelector('.search-palette')).toBeNull();
+    expect(document.querySelector('[data-search-open]').hidden).toBe(true);
+    press('k', { ctrlKey: true });
+    expect(document.querySelector('.search-palette')).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { initTableOfContents } from '../../frontend/javascript/table-of-contents.js';
+
+const MARKUP = `
+  <details class="doc-toc-dropdown" data-doc-toc="mobile" hidden><summary>On this page <span data-doc-toc-current></span></summary></details>
+  <article class="prose">
+    <h1>Signatures</h1>
+    <h2 id="define"><a class="anchor-link" href="#define">#</a>Define a signature</h2>
+    <h3 id="fields">Input &amp; output fields</h3>
+    <h2 id="use">Use it</h2>
+    <h2 id="1-more">One more</h2>
+  </article>
+  <nav data-doc-toc="desktop" hidden><p>On this page</p></nav>`;
+
+// happy-dom has no layout: headings sit at the given viewport offsets.
+function place(tops) {
+  document.querySelectorAll('h2, h3').forEach((heading) => {
+    heading.getBoundingClientRect = () => ({ top: tops[heading.id] ?? 5000 });
+  });
+}
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+const scroll = async (tops) => {
+  place(tops);
+  window.dispatchEvent(new Event('scroll'));
+  await nextFrame();
+};
+
+const current = () => Array.from(document.querySelectorAll('[data-doc-toc="desktop"] [aria-current]'), (a) => a.getAttribute('href'));
+
+let teardowns = [];
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  document.body.innerHTML = '';
+});
+
+describe('initTableOfContents', () => {
+  test('lists the h2 and h3 headings in both containers', () => {
+    document.body.innerHTML = MARKUP;
+    place({});
+    teardowns.push(initTableOfContents());
+
+    document.querySelectorAll('[data-doc-toc]').forEach((container) => {
+      expect(container.hidden).toBe(false);
+      const links = container.querySelectorAll('a');
+      expect(Array.from(links, (a) => [a.getAttribute('href'), a.textContent])).toEqual([
+        ['#define', 'Define a signature'],
+        ['#fields', 'Input & output fields'],
+        ['#use', 'Use it'],
+        ['#1-more', 'One more'],
+      ]);
+    });
+    expect(document.querySelector('.doc-toc-item-nested a').getAttribute('href')).toBe('#fields');
+    expect(current()).toEqual([]);
+  });
+
+  test('marks the last heading scrolled past the header on every scroll', async () => {
+    document.body.innerHTML = MARKUP;
+    place({ define: 200, fields: 600, use: 1200, '1-more': 2000 });
+    teardowns.push(initTableOfContents());
+    expect(current()).toEqual([]);
+
+    await scroll({ define: 40, fields: 400, use: 1000, '1-more': 1800 });
+    expect(current()).toEqual(['#define']);
+
+    // A jump past several headings at once, as a scrollbar drag or End key does.
+    await scroll({ define: -2000, fields: -1600, use: -1000, '1-more': -200 });
+    expect(current()).toEqual(['#1-more']);
+    expect(document.querySelector('[data-doc-toc-current]').textContent).toBe('One more');
+
+    await scroll({ define: -400, fields: 0, use: 600, '1-more': 1400 });
+    expect(current()).toEqual(['#fields']);
+  });
+
+  test('closes the dropdown once a heading is picked', () => {
+    document.body.innerHTML = MARKUP;
+    place({});
+    teardowns.push(initTableOfContents());
+    const dropdown = document.querySelector('details');
+    dropdown.open = true;
+    dropdown.querySelector('a').click();
+    expect(dropdown.open).toBe(false);
+  });
+
+  test('stays hidden on pages with fewer than two headings', () => {
+    document.body.innerHTML = MARKUP;
+    document.querySelectorAll('h2, h3').forEach((heading, i) => { if (i > 0) heading.remove(); });
+    teardowns.push(initTableOfContents());
+    expect(document.querySelector('[data-doc-toc="desktop"]').hidden).toBe(true);
+  });
+
+  test('teardown empties and hides the containers and stops tracking', async () => {
+    document.body.innerHTML = MARKUP;
+    const before = document.body.innerHTML;
+    place({ define: 40 });
+    const teardown = initTableOfContents();
+    teardown();
+
+    expect(document.body.innerHTML).toBe(before);
+    await scroll({ define: 40, fields: 40 });
+    expect(document.querySelectorAll('[aria-current]')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import {
+  STORAGE_KEY,
+  currentTheme,
+  initThemeToggle,
+  setTheme,
+  storedTheme,
+} from '../../frontend/javascript/theme.js';
+
+function mount() {
+  document.body.innerHTML = `
+    <button type="button" data-theme-toggle hidden aria-label="Dark theme"></button>
+    <button type="button" data-theme-toggle hidden aria-label="Dark theme"></button>`;
+  return Array.from(document.querySelectorAll('[data-theme-toggle]'));
+}
+
+const theme = () => document.documentElement.dataset.theme;
+
+let teardowns = [];
+
+afterEach(() => {
+  teardowns.forEach((teardown) => teardown());
+  teardowns = [];
+  document.body.innerHTML = '';
+  window.localStorage.clear();
+  delete document.documentElement.dataset.theme;
+});
+
+describe('theme', () => {
+  test('follows the system until a theme is saved', () => {
+    expect(storedTheme()).toBeNull();
+    expect(currentTheme()).toBe('light');
+    expect(theme()).toBeUndefined();
+  });
+
+  test('ignores unknown saved values', () => {
+    window.localStorage.setItem(STORAGE_KEY, 'sepia');
+    expect(storedTheme()).toBeNull();
+  });
+
+  test('setTheme saves, applies and announces the choice', () => {
+    const seen = [];
+    const onChange = (e) => seen.push(e.detail.theme);
+    document.addEventListener('themechange', onChange);
+
+    setTheme('dark');
+    expect(window.localStorage.getItem(STORAGE_KEY)).toBe('dark');
+    expect(theme()).toBe('dark');
+
+    setTheme(null);
+    expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull();
+    expect(theme()).toBeUndefined();
+
+    document.removeEventListener('themechange', onChange);
+    expect(seen).toEqual(['dark', 'light']);
+  });
+});
+
+describe('initThemeToggle', () => {
+  test('shows the toggles and reports the dark theme as pressed', () => {
+    const buttons = mount();
+    teardowns.push(initThemeToggle());
+
+    buttons.forEach((button) => {
+      expect(button.hidden).toBe(false);
+      expect(button.getAttribute('aria-pressed')).toBe('false');
+    });
+  });
+
+  test('a click flips the theme, saves it and syncs every toggle', () => {
+    const [first, second] = mount();
+    teardowns.push(initThemeToggle());
+
+    first.click();
+    expect(theme()).toBe('dark');
+    expect(storedTheme()).toBe('dark');
+    expect(second.getAttribute('aria-pressed')).toBe('true');
+
+    second.click();
+    expect(theme()).toBe('light');
+    expect(first.getAttribute('aria-pressed')).toBe('false');
+  });
+
+  test('picks up a choice saved in another tab', () => {
+    const [button] = mount();
+    teardowns.push(initThemeToggle());
+
+    window.localStorage.setItem(STORAGE_KEY, 'dark');
+    window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEY }));
+    expect(theme()).toBe('dark');
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+  });
+
+  test('teardown hides the toggles and stops listening', () => {
+    const [button] = mount();
+    initThemeToggle()();
+
+    expect(button.hidden).toBe(true);
+    expect(button.hasAttribute('aria-pressed')).toBe(false);
+    button.click();
+    expect(theme()).toBeUndefined();
+  });
+});
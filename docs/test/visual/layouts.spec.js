@@ -0,0 +1,76 @@
+const { test, expect, visit } = require('../support/fixtures');
+
+// Visual regression for the three page layouts and the interactive states
+// that CSS changes tend to break. Baselines live in __screenshots__/; after
+// an intended change, refresh them with `bun run test:visual:update` and
+// review the PNG diff in the commit.
+
+const PAGES = {
+  docs: '/dspy.rb/getting-started/installation/',
+  blog: '/dspy.rb/blog/articles/raw-chat-api/',
+  home: '/dspy.rb/',
+};
+
+const MOBILE = { width: 390, height: 844 };
+
+test.describe('layouts', () => {
+  for (const [layout, url] of Object.entries(PAGES)) {
+    test(`${layout} layout`, async ({ page }) => {
+      await visit(page, url);
+      await expect(page).toHaveScreenshot(`${layout}-layout.png`);
+    });
+
+    test(`${layout} layout on mobile`, async ({ page }) => {
+      await page.setViewportSize(MOBILE);
+      await visit(page, url);
+      await expect(page).toHaveScreenshot(`${layout}-layout-mobile.png`);
+    });
+  }
+});
+
+test.describe('dark theme', () => {
+  for (const [layout, url] of Object.entries(PAGES)) {
+    test(`${layout} layout`, async ({ page }) => {
+      await page.emulateMedia({ colorScheme: 'dark' });
+      await visit(page, url);
+      await expect(page).toHaveScreenshot(`${layout}-layout-dark.png`);
+    });
+  }
+});
+
+test.describe('interactive states', () => {
+  test('docs mobile menu open', async ({ page }) => {
+    await page.setViewportSize(MOBILE);
+    await visit(page, PAGES.docs);
+
+    await page.locator('#mobile-menu-button').click();
+    await expect(page.locator('#mobile-menu')).toHaveClass(/menu-open/);
+    await expect(page).toHaveScreenshot('docs-mobile-menu-open.png');
+  });
+
+  test('agent pipeline on step 3', async ({ page }) => {
+    await visit(page, PAGES.home);
+    const pipeline = page.locator('[data-agent-pipeline]');
+    await pipeline.scrollIntoViewIfNeeded();
+
+    const next = pipeline.getByRole('button', { name: 'Next step' });
+    await next.click();
+    await next.click();
+    await expect(pipeline.locator('[data-agent-status]')).toHaveText(/^03 \//);
+    await expect(pipeline).toHaveScreenshot('agent-pipeline-step-3.png');
+  });
+
+  test('expanded sidebar dropdown', async ({ page }) => {
+    await visit(page, PAGES.docs);
+    const sidebar = page.locator('[data-doc-sidebar="desktop"]');
+    const toggles = sidebar.locator('[data-dropdown-toggle]');
+
+    // Collapse every section but the current one so the screenshot isolates
+    // a single open dropdown and its rotated chevron.
+    for (const toggle of await toggles.all()) {
+      if ((await toggle.getAttribute('aria-current')) !== 'location') await toggle.click();
+    }
+    await expect(sidebar.locator('[data-dropdown-toggle][aria-current="location"]')).toHaveAttribute('aria-expanded', 'true');
+    await expect(sidebar).toHaveScreenshot('sidebar-dropdown-expanded.png');
+  });
+});